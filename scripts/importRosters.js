@@ -0,0 +1,275 @@
+// Imports rosters from a Leaguepedia-style CSV or JSON export into public/data.
+//
+//   npm run import-rosters -- <file.csv|file.json> [--dry-run] [--data <dir>]
+//
+// Every row describes one player on one roster, with the columns
+// Team, Year, Split, League, Role, Player and Country (an ISO code with a flag in public/assets).
+// New teams also need TeamName and Region. JSON files can be a list of rows or a Cargo
+// query result ({ "cargoquery": [{ "title": row }] }). Run `npm test` afterwards to validate the result.
+// The script runs through Babel (node -r @babel/register) to share the app's constants.
+const fs = require('fs');
+const path = require('path');
+
+const { positions, splits, yearRange, dataFiles } = require('../src/constants/schema');
+const { leagues } = require('../src/constants/leagues');
+
+const roleMap = {
+  top: 'TOP',
+  jungle: 'JG',
+  jg: 'JG',
+  mid: 'MID',
+  bot: 'BOT',
+  adc: 'BOT',
+  support: 'SPT',
+  spt: 'SPT',
+};
+
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  const [header, ...rows] = records.filter(r => r.some(value => value.trim()));
+  return rows.map(row => header.reduce((acc, column, i) => ({ ...acc, [column.trim()]: (row[i] || '').trim() }), {}));
+};
+
+const normalizeRow = (row) => Object.keys(row).reduce((acc, key) => ({
+  ...acc,
+  [key.replace(/\s/g, '').toLowerCase()]: String(row[key]).trim(),
+}), {});
+
+const readRows = (text, format) => {
+  if (format === 'csv') {
+    return parseCsv(text).map(normalizeRow);
+  }
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : (parsed.cargoquery || []).map(entry => entry.title);
+  return rows.map(normalizeRow);
+};
+
+const getRosterId = (abbr, year, split) => `${abbr.toLowerCase()}-${year}-${split.toLowerCase()}`;
+
+const groupRosters = (rows) => {
+  const rosters = {};
+  const errors = [];
+  rows.forEach((row, i) => {
+    const position = roleMap[(row.role || '').toLowerCase()];
+    if (!row.team || !row.year || !row.split || !row.player || !position) {
+      errors.push(`Row ${i + 1} is missing a team, year, split, player or known role`);
+      return;
+    }
+    if (!leagues[(row.league || '').toUpperCase()]) {
+      errors.push(`Row ${i + 1} has the unknown league ${row.league || '(none)'}`);
+      return;
+    }
+    if (!splits.includes(row.split.toLowerCase())) {
+      errors.push(`Row ${i + 1} has the unknown split ${row.split}`);
+      return;
+    }
+    const year = Number(row.year);
+    if (!Number.isInteger(year) || year < yearRange.from || year > yearRange.to) {
+      errors.push(`Row ${i + 1} has the year ${row.year}, outside ${yearRange.from}-${yearRange.to}`);
+      return;
+    }
+    const id = getRosterId(row.team, row.year, row.split);
+    if (!rosters[id]) {
+      rosters[id] = { id, row, players: {} };
+    }
+    if (rosters[id].players[position]) {
+      errors.push(`${id} has more than one ${position} (${rosters[id].players[position].player}, ${row.player})`);
+      rosters[id].invalid = true;
+    }
+    rosters[id].players[position] = row;
+  });
+  Object.values(rosters).forEach(roster => {
+    const missing = positions.filter(position => !roster.players[position]);
+    if (missing.length > 0) {
+      errors.push(`${roster.id} has no ${missing.join(', ')}`);
+      roster.invalid = true;
+    }
+  });
+  return { rosters: Object.values(rosters).filter(roster => !roster.invalid), errors };
+};
+
+const toKey = (ign) => ign.replace(/[^A-Za-z0-9]/g, '') || ign;
+
+const findTeamKey = (teams, row) => Object.keys(teams).find(key => {
+  const team = teams[key];
+  const sameRegion = !row.region || team.region === row.region;
+  return sameRegion && (key === row.team || team.abbr.toLowerCase() === row.team.toLowerCase());
+});
+
+const findPlayerKey = (players, position, ign) => Object.keys(players[position] || {})
+  .find(key => players[position][key].ign.some(alias => alias.toLowerCase() === ign.toLowerCase()));
+
+// Role-swapped players keep their key, so look for the IGN under the other positions too.
+const findKnownPlayer = (players, ign) => positions
+  .map(position => ({ position, key: findPlayerKey(players, position, ign) }))
+  .find(found => found.key);
+
+const mergeRosters = (files, rosters) => {
+  const players = JSON.parse(JSON.stringify(files.players.players));
+  const teams = JSON.parse(JSON.stringify(files.teams.teams));
+  const quizzes = [...files.quizzes.quizzes];
+  const report = { added: [], duplicates: [], conflicts: [], newPlayers: [], newTeams: [], errors: [] };
+
+  rosters.forEach(roster => {
+    const { row } = roster;
+    let teamKey = findTeamKey(teams, row);
+    if (!teamKey) {
+      if (!row.region || !row.teamname) {
+        report.errors.push(`${roster.id} has the unknown team ${row.team} and no TeamName/Region to create it`);
+        return;
+      }
+      teamKey = teams[row.team] ? `${row.team}${row.region}` : row.team;
+      teams[teamKey] = { id: teamKey, name: [row.teamname], abbr: row.team, region: row.region };
+      report.newTeams.push(teamKey);
+    }
+
+    const quizPlayers = {};
+    const created = [];
+    const unresolved = positions.find(position => {
+      const entry = roster.players[position];
+      const existing = findPlayerKey(players, position, entry.player);
+      if (existing) {
+        quizPlayers[position] = existing;
+        return false;
+      }
+      const known = findKnownPlayer(players, entry.player);
+      const nationality = entry.country || (known && players[known.position][known.key].nationality);
+      if (!nationality) {
+        return true;
+      }
+      const key = known ? known.key : toKey(entry.player);
+      if (!known && players[position] && players[position][key]) {
+        report.errors.push(`${roster.id} has the new player ${entry.player} whose key ${key} is taken`);
+        return true;
+      }
+      created.push({ position, key, player: { ign: [entry.player], position, nationality } });
+      quizPlayers[position] = key;
+      return false;
+    });
+    if (unresolved) {
+      if (!roster.players[unresolved].country) {
+        report.errors.push(`${roster.id} has the new player ${roster.players[unresolved].player} with no Country`);
+      }
+      return;
+    }
+
+    const quiz = {
+      id: getRosterId(teamKey, row.year, row.split),
+      team: teamKey,
+      year: row.year,
+      split: row.split.toLowerCase(),
+      region: teams[teamKey].region,
+      league: row.league.toUpperCase(),
+      players: quizPlayers,
+    };
+    const existing = quizzes.find(q => q.id === quiz.id);
+    if (existing) {
+      const same = existing.team === quiz.team && positions.every(p => existing.players[p] === quiz.players[p]);
+      report[same ? 'duplicates' : 'conflicts'].push(quiz.id);
+      return;
+    }
+
+    created.forEach(({ position, key, player }) => {
+      players[position] = { ...players[position], [key]: player };
+      report.newPlayers.push(`${position}.${key}`);
+    });
+    quizzes.push(quiz);
+    report.added.push(quiz.id);
+  });
+
+  return {
+    files: {
+      players: { ...files.players, players },
+      teams: { ...files.teams, teams },
+      quizzes: { ...files.quizzes, quizzes },
+    },
+    report,
+  };
+};
+
+const formatReport = (report) => [
+  `Added ${report.added.length} rosters: ${report.added.join(', ') || '-'}`,
+  `New players: ${report.newPlayers.join(', ') || '-'}`,
+  `New teams: ${report.newTeams.join(', ') || '-'}`,
+  `Already in the dataset: ${report.duplicates.join(', ') || '-'}`,
+  `Conflicting with the dataset (skipped): ${report.conflicts.join(', ') || '-'}`,
+  ...report.errors.map(error => `Error: ${error}`),
+].join('\n');
+
+const main = (args) => {
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dataIndex = args.indexOf('--data');
+  const dataDir = dataIndex >= 0 ? args[dataIndex + 1] : path.join(__dirname, '../public/data');
+  if (!file) {
+    console.error('Usage: npm run import-rosters -- <file.csv|file.json> [--dry-run] [--data <dir>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const { rosters, errors } = groupRosters(readRows(fs.readFileSync(file, 'utf8'), format));
+  const files = dataFiles.reduce((acc, name) => ({
+    ...acc,
+    [name]: JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8')),
+  }), {});
+  const merged = mergeRosters(files, rosters);
+  merged.report.errors = [...errors, ...merged.report.errors];
+
+  console.log(formatReport(merged.report));
+  if (!args.includes('--dry-run') && merged.report.added.length > 0) {
+    dataFiles.forEach(name => {
+      fs.writeFileSync(path.join(dataDir, `${name}.json`), `${JSON.stringify(merged.files[name], null, 2)}\n`);
+    });
+    console.log(`Wrote ${dataDir}. Run npm test to validate the merged data.`);
+  }
+  if (merged.report.errors.length > 0) {
+    process.exitCode = 1;
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseCsv,
+  readRows,
+  groupRosters,
+  mergeRosters,
+  formatReport,
+};
@@ -0,0 +1,14 @@
+export const blitzClock = {
+  global: 'global',
+  roster: 'roster',
+};
+
+// Labelled with the blitz.presetGlobal or blitz.presetRoster message, after their clock.
+export const blitzPresets = [
+  { clock: blitzClock.global, seconds: 60 },
+  { clock: blitzClock.global, seconds: 180 },
+  { clock: blitzClock.global, seconds: 300 },
+  { clock: blitzClock.roster, seconds: 15, rosters: 10 },
+  { clock: blitzClock.roster, seconds: 30, rosters: 10 },
+  { clock: blitzClock.roster, seconds: 60, rosters: 10 },
+];
@@ -0,0 +1,448 @@
+// Metadata for every nationality with a flag in public/assets, keyed by ISO 3166-1 alpha-2 code.
+// Localized names cover the languages the UI is translated into; English is the fallback.
+export const countries = {
+  AM: {
+    name: 'Armenia',
+    demonym: 'Armenian',
+    localizedNames: {
+      ja: 'アルメニア',
+      'zh-TW': '亞美尼亞',
+      ko: '아르메니아',
+      de: 'Armenien',
+      fr: 'Arménie',
+      es: 'Armenia',
+    },
+  },
+  AR: {
+    name: 'Argentina',
+    demonym: 'Argentine',
+    localizedNames: {
+      ja: 'アルゼンチン',
+      'zh-TW': '阿根廷',
+      ko: '아르헨티나',
+      de: 'Argentinien',
+      fr: 'Argentine',
+      es: 'Argentina',
+    },
+  },
+  AU: {
+    name: 'Australia',
+    demonym: 'Australian',
+    localizedNames: {
+      ja: 'オーストラリア',
+      'zh-TW': '澳洲',
+      ko: '오스트레일리아',
+      de: 'Australien',
+      fr: 'Australie',
+      es: 'Australia',
+    },
+  },
+  BE: {
+    name: 'Belgium',
+    demonym: 'Belgian',
+    localizedNames: {
+      ja: 'ベルギー',
+      'zh-TW': '比利時',
+      ko: '벨기에',
+      de: 'Belgien',
+      fr: 'Belgique',
+      es: 'Bélgica',
+    },
+  },
+  BG: {
+    name: 'Bulgaria',
+    demonym: 'Bulgarian',
+    localizedNames: {
+      ja: 'ブルガリア',
+      'zh-TW': '保加利亞',
+      ko: '불가리아',
+      de: 'Bulgarien',
+      fr: 'Bulgarie',
+      es: 'Bulgaria',
+    },
+  },
+  CA: {
+    name: 'Canada',
+    demonym: 'Canadian',
+    localizedNames: {
+      ja: 'カナダ',
+      'zh-TW': '加拿大',
+      ko: '캐나다',
+      de: 'Kanada',
+      fr: 'Canada',
+      es: 'Canadá',
+    },
+  },
+  CN: {
+    name: 'China',
+    demonym: 'Chinese',
+    localizedNames: {
+      ja: '中国',
+      'zh-TW': '中國',
+      ko: '중국',
+      de: 'China',
+      fr: 'Chine',
+      es: 'China',
+    },
+  },
+  CZ: {
+    name: 'Czechia',
+    demonym: 'Czech',
+    localizedNames: {
+      ja: 'チェコ',
+      'zh-TW': '捷克',
+      ko: '체코',
+      de: 'Tschechien',
+      fr: 'Tchéquie',
+      es: 'Chequia',
+    },
+  },
+  DE: {
+    name: 'Germany',
+    demonym: 'German',
+    localizedNames: {
+      ja: 'ドイツ',
+      'zh-TW': '德國',
+      ko: '독일',
+      de: 'Deutschland',
+      fr: 'Allemagne',
+      es: 'Alemania',
+    },
+  },
+  DK: {
+    name: 'Denmark',
+    demonym: 'Danish',
+    localizedNames: {
+      ja: 'デンマーク',
+      'zh-TW': '丹麥',
+      ko: '덴마크',
+      de: 'Dänemark',
+      fr: 'Danemark',
+      es: 'Dinamarca',
+    },
+  },
+  EE: {
+    name: 'Estonia',
+    demonym: 'Estonian',
+    localizedNames: {
+      ja: 'エストニア',
+      'zh-TW': '愛沙尼亞',
+      ko: '에스토니아',
+      de: 'Estland',
+      fr: 'Estonie',
+      es: 'Estonia',
+    },
+  },
+  ES: {
+    name: 'Spain',
+    demonym: 'Spanish',
+    localizedNames: {
+      ja: 'スペイン',
+      'zh-TW': '西班牙',
+      ko: '스페인',
+      de: 'Spanien',
+      fr: 'Espagne',
+      es: 'España',
+    },
+  },
+  FI: {
+    name: 'Finland',
+    demonym: 'Finnish',
+    localizedNames: {
+      ja: 'フィンランド',
+      'zh-TW': '芬蘭',
+      ko: '핀란드',
+      de: 'Finnland',
+      fr: 'Finlande',
+      es: 'Finlandia',
+    },
+  },
+  FR: {
+    name: 'France',
+    demonym: 'French',
+    localizedNames: {
+      ja: 'フランス',
+      'zh-TW': '法國',
+      ko: '프랑스',
+      de: 'Frankreich',
+      fr: 'France',
+      es: 'Francia',
+    },
+  },
+  GB: {
+    name: 'United Kingdom',
+    demonym: 'British',
+    localizedNames: {
+      ja: 'イギリス',
+      'zh-TW': '英國',
+      ko: '영국',
+      de: 'Vereinigtes Königreich',
+      fr: 'Royaume-Uni',
+      es: 'Reino Unido',
+    },
+  },
+  GR: {
+    name: 'Greece',
+    demonym: 'Greek',
+    localizedNames: {
+      ja: 'ギリシャ',
+      'zh-TW': '希臘',
+      ko: '그리스',
+      de: 'Griechenland',
+      fr: 'Grèce',
+      es: 'Grecia',
+    },
+  },
+  HR: {
+    name: 'Croatia',
+    demonym: 'Croatian',
+    localizedNames: {
+      ja: 'クロアチア',
+      'zh-TW': '克羅埃西亞',
+      ko: '크로아티아',
+      de: 'Kroatien',
+      fr: 'Croatie',
+      es: 'Croacia',
+    },
+  },
+  HU: {
+    name: 'Hungary',
+    demonym: 'Hungarian',
+    localizedNames: {
+      ja: 'ハンガリー',
+      'zh-TW': '匈牙利',
+      ko: '헝가리',
+      de: 'Ungarn',
+      fr: 'Hongrie',
+      es: 'Hungría',
+    },
+  },
+  IT: {
+    name: 'Italy',
+    demonym: 'Italian',
+    localizedNames: {
+      ja: 'イタリア',
+      'zh-TW': '義大利',
+      ko: '이탈리아',
+      de: 'Italien',
+      fr: 'Italie',
+      es: 'Italia',
+    },
+  },
+  KR: {
+    name: 'South Korea',
+    demonym: 'Korean',
+    localizedNames: {
+      ja: '韓国',
+      'zh-TW': '南韓',
+      ko: '대한민국',
+      de: 'Südkorea',
+      fr: 'Corée du Sud',
+      es: 'Corea del Sur',
+    },
+  },
+  NL: {
+    name: 'Netherlands',
+    demonym: 'Dutch',
+    localizedNames: {
+      ja: 'オランダ',
+      'zh-TW': '荷蘭',
+      ko: '네덜란드',
+      de: 'Niederlande',
+      fr: 'Pays-Bas',
+      es: 'Países Bajos',
+    },
+  },
+  NO: {
+    name: 'Norway',
+    demonym: 'Norwegian',
+    localizedNames: {
+      ja: 'ノルウェー',
+      'zh-TW': '挪威',
+      ko: '노르웨이',
+      de: 'Norwegen',
+      fr: 'Norvège',
+      es: 'Noruega',
+    },
+  },
+  NZ: {
+    name: 'New Zealand',
+    demonym: 'New Zealander',
+    localizedNames: {
+      ja: 'ニュージーランド',
+      'zh-TW': '紐西蘭',
+      ko: '뉴질랜드',
+      de: 'Neuseeland',
+      fr: 'Nouvelle-Zélande',
+      es: 'Nueva Zelanda',
+    },
+  },
+  PH: {
+    name: 'Philippines',
+    demonym: 'Filipino',
+    localizedNames: {
+      ja: 'フィリピン',
+      'zh-TW': '菲律賓',
+      ko: '필리핀',
+      de: 'Philippinen',
+      fr: 'Philippines',
+      es: 'Filipinas',
+    },
+  },
+  PL: {
+    name: 'Poland',
+    demonym: 'Polish',
+    localizedNames: {
+      ja: 'ポーランド',
+      'zh-TW': '波蘭',
+      ko: '폴란드',
+      de: 'Polen',
+      fr: 'Pologne',
+      es: 'Polonia',
+    },
+  },
+  PT: {
+    name: 'Portugal',
+    demonym: 'Portuguese',
+    localizedNames: {
+      ja: 'ポルトガル',
+      'zh-TW': '葡萄牙',
+      ko: '포르투갈',
+      de: 'Portugal',
+      fr: 'Portugal',
+      es: 'Portugal',
+    },
+  },
+  RO: {
+    name: 'Romania',
+    demonym: 'Romanian',
+    localizedNames: {
+      ja: 'ルーマニア',
+      'zh-TW': '羅馬尼亞',
+      ko: '루마니아',
+      de: 'Rumänien',
+      fr: 'Roumanie',
+      es: 'Rumanía',
+    },
+  },
+  RU: {
+    name: 'Russia',
+    demonym: 'Russian',
+    localizedNames: {
+      ja: 'ロシア',
+      'zh-TW': '俄羅斯',
+      ko: '러시아',
+      de: 'Russland',
+      fr: 'Russie',
+      es: 'Rusia',
+    },
+  },
+  SE: {
+    name: 'Sweden',
+    demonym: 'Swedish',
+    localizedNames: {
+      ja: 'スウェーデン',
+      'zh-TW': '瑞典',
+      ko: '스웨덴',
+      de: 'Schweden',
+      fr: 'Suède',
+      es: 'Suecia',
+    },
+  },
+  SI: {
+    name: 'Slovenia',
+    demonym: 'Slovenian',
+    localizedNames: {
+      ja: 'スロベニア',
+      'zh-TW': '斯洛維尼亞',
+      ko: '슬로베니아',
+      de: 'Slowenien',
+      fr: 'Slovénie',
+      es: 'Eslovenia',
+    },
+  },
+  SK: {
+    name: 'Slovakia',
+    demonym: 'Slovak',
+    localizedNames: {
+      ja: 'スロバキア',
+      'zh-TW': '斯洛伐克',
+      ko: '슬로바키아',
+      de: 'Slowakei',
+      fr: 'Slovaquie',
+      es: 'Eslovaquia',
+    },
+  },
+  TR: {
+    name: 'Türkiye',
+    demonym: 'Turkish',
+    localizedNames: {
+      ja: 'トルコ',
+      'zh-TW': '土耳其',
+      ko: '튀르키예',
+      de: 'Türkei',
+      fr: 'Turquie',
+      es: 'Turquía',
+    },
+  },
+  TW: {
+    name: 'Taiwan',
+    demonym: 'Taiwanese',
+    localizedNames: {
+      ja: '台湾',
+      'zh-TW': '台灣',
+      ko: '대만',
+      de: 'Taiwan',
+      fr: 'Taïwan',
+      es: 'Taiwán',
+    },
+  },
+  UA: {
+    name: 'Ukraine',
+    demonym: 'Ukrainian',
+    localizedNames: {
+      ja: 'ウクライナ',
+      'zh-TW': '烏克蘭',
+      ko: '우크라이나',
+      de: 'Ukraine',
+      fr: 'Ukraine',
+      es: 'Ucrania',
+    },
+  },
+  US: {
+    name: 'United States',
+    demonym: 'American',
+    localizedNames: {
+      ja: 'アメリカ合衆国',
+      'zh-TW': '美國',
+      ko: '미국',
+      de: 'Vereinigte Staaten',
+      fr: 'États-Unis',
+      es: 'Estados Unidos',
+    },
+  },
+  VE: {
+    name: 'Venezuela',
+    demonym: 'Venezuelan',
+    localizedNames: {
+      ja: 'ベネズエラ',
+      'zh-TW': '委內瑞拉',
+      ko: '베네수엘라',
+      de: 'Venezuela',
+      fr: 'Venezuela',
+      es: 'Venezuela',
+    },
+  },
+  VN: {
+    name: 'Vietnam',
+    demonym: 'Vietnamese',
+    localizedNames: {
+      ja: 'ベトナム',
+      'zh-TW': '越南',
+      ko: '베트남',
+      de: 'Vietnam',
+      fr: 'Viêt Nam',
+      es: 'Vietnam',
+    },
+  },
+};
@@ -0,0 +1,16 @@
+export const dailyRosters = 5;
+
+// Daily #1 was played on this date.
+export const dailyEpoch = '2021-07-01';
+
+export const shareCell = {
+  answered: 'answered',
+  hinted: 'hinted',
+  missed: 'missed',
+};
+
+export const shareEmoji = {
+  [shareCell.answered]: '🟩',
+  [shareCell.hinted]: '🟨',
+  [shareCell.missed]: '⬛',
+};
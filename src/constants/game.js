@@ -0,0 +1,31 @@
+export const gameState = {
+  // No roster on screen: before the first one, or once the pool has run out.
+  idle: 'idle',
+  answering: 'answering',
+  // Every part was given away and stays on screen for a while.
+  revealing: 'revealing',
+  // The last part was just answered or skipped.
+  transitioning: 'transitioning',
+  // The run was stopped with a roster still on screen, e.g. when the blitz clock ran out.
+  ended: 'ended',
+};
+
+export const gameEvent = {
+  load: 'load',
+  input: 'input',
+  submit: 'submit',
+  pick: 'pick',
+  flag: 'flag',
+  skipPart: 'skipPart',
+  skipQuiz: 'skipQuiz',
+  hint: 'hint',
+  end: 'end',
+  next: 'next',
+  setSession: 'setSession',
+};
+
+// How long a finished roster stays on screen before the next one is drawn.
+export const transitionDelay = {
+  [gameState.transitioning]: 1000,
+  [gameState.revealing]: 4000,
+};
@@ -0,0 +1,12 @@
+export const leagues = {
+  LCS: { name: 'LCS', fullName: 'NA LCS / LCS', region: 'NA' },
+  LEC: { name: 'LEC', fullName: 'EU LCS / LEC', region: 'EU' },
+  LCK: { name: 'LCK', fullName: 'League of Legends Champions Korea', region: 'KR' },
+  LCKCL: { name: 'LCK CL', fullName: 'LCK Challengers League', region: 'KR' },
+  LPL: { name: 'LPL', fullName: 'League of Legends Pro League', region: 'CN' },
+  LFL: { name: 'LFL', fullName: 'La Ligue Française', region: 'EU', erl: true },
+  PRM: { name: 'Prime League', fullName: 'Prime League', region: 'EU', erl: true },
+  SL: { name: 'SuperLiga', fullName: 'LVP SuperLiga', region: 'EU', erl: true },
+  WORLDS: { name: 'Worlds', fullName: 'World Championship', region: null },
+  CUSTOM: { name: 'Custom', fullName: 'Custom pack league', region: null },
+};
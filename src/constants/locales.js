@@ -0,0 +1,12 @@
+export const defaultLocale = 'en';
+
+// Offered in the language switcher, each under its own name.
+export const locales = [
+  { code: 'en', name: 'English' },
+  { code: 'ja', name: '日本語' },
+  { code: 'zh-TW', name: '繁體中文' },
+  { code: 'ko', name: '한국어' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'fr', name: 'Français' },
+  { code: 'es', name: 'Español' },
+];
@@ -0,0 +1,1600 @@
+// UI message catalogs, keyed by locale. English is the reference: every other
+// catalog has the same keys, and `{name}` placeholders are filled in by translate().
+export const messages = {
+  en: {
+    'title.inspiredBy': 'Inspired by {video}',
+    'title.loadFailed': 'Could not load the roster data. Please reload the page.',
+    'rules.title': 'Rules',
+    'rules.teams': 'NALCS, LCS, EULCS, LEC teams, excluding academy, plus a selection of LCK, LPL, ERL and Worlds rosters.',
+    'rules.years': 'From 2013 spring to 2021 summer. Worlds rosters use "worlds" as their split.',
+    'rules.official': 'Rosters that at least played an official game.',
+    'rules.igns': 'For players with changed competitive IGNs, all IGNs are eligible.',
+    'rules.source': 'Data is based on {source}.',
+    'rules.sharedFlags': 'If several rosters share the same flags, any of them is accepted.',
+    'rules.shortcuts': 'Press ? for keyboard shortcuts.',
+    'rules.choices': 'In multiple choice, pick with a tap or the 1-4 keys. A wrong pick reveals the answer.',
+    'rules.reverse': 'In reverse mode, any roster the team played that year is accepted. A wrong flag reveals the player.',
+    'rules.career': 'In career mode, answer with a team and a year, e.g. "TSM 2015".',
+    'rules.review': 'Missed rosters come back in review until you get them right a few times in a row, the most often missed first.',
+    'part.team': 'Team',
+    'part.year': 'Year',
+    'part.split': 'Split',
+    'split.spring': 'Spring',
+    'split.summer': 'Summer',
+    'split.worlds': 'Worlds',
+    'part.career': 'Team and year',
+    'position.top': 'Top',
+    'position.jg': 'Jungle',
+    'position.mid': 'Mid',
+    'position.bot': 'Bot',
+    'position.spt': 'Support',
+    'input.close': 'Close, but not quite',
+    'skip.quiz': 'NEXT QUIZ',
+    'skip.part': 'SKIP PART',
+    'score.score': 'SCORE',
+    'score.streak': 'STREAK',
+    'score.roster': 'ROSTER',
+    'score.remaining': 'REMAINING',
+    'hints.button': 'HINT (-{cost})',
+    'quiz.results': 'RESULTS',
+    'quiz.hideResults': 'HIDE RESULTS',
+    'quiz.resetProgress': 'RESET PROGRESS',
+    'quiz.emptyPool': 'No rosters match this filter.',
+    'quiz.review': 'REVIEW',
+    'quiz.hideReview': 'HIDE REVIEW',
+    'runComplete.title': 'You\'ve seen every roster!',
+    'runComplete.reshuffle': 'RESHUFFLE',
+    'runComplete.replayMissed': 'REPLAY MISSED ({count})',
+    'runComplete.newFilter': 'Or continue with a new filter in the settings above.',
+    'review.title': 'Review',
+    'review.start': 'REVIEW MISSES ({count})',
+    'review.nothingDue': 'No missed rosters are due for review.',
+    'review.empty': 'No rosters played yet this session.',
+    'review.answered': 'Answered',
+    'review.skipped': 'Skipped',
+    'review.revealed': 'Revealed',
+    'review.hinted': 'Hinted',
+    'shortcuts.button': '? Shortcuts',
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.or': ' or ',
+    'shortcuts.close': 'Close',
+    'shortcuts.skipPart': 'Skip part',
+    'shortcuts.nextQuiz': 'Next quiz',
+    'shortcuts.hint': 'Take a hint (Alt + H while typing)',
+    'shortcuts.choice': 'Pick an option in multiple choice',
+    'shortcuts.help': 'Show or hide shortcuts',
+    'settings.language': 'Language',
+    'settings.mode': 'Mode',
+    'settings.rosters': 'Rosters',
+    'settings.builtin': 'Built-in',
+    'settings.answerWith': 'Answer with',
+    'settings.show': 'Show',
+    'settings.clock': 'Clock',
+    'settings.league': 'League',
+    'settings.allLeagues': 'All',
+    'settings.from': 'From',
+    'settings.to': 'To',
+    'settings.typos': 'Typos',
+    'settings.askSplit': 'Ask split',
+    'settings.multipleChoice': 'Multiple choice',
+    'mode.classic': 'Classic',
+    'mode.blitz': 'Blitz',
+    'mode.multiplayer': 'Hot-seat',
+    'mode.daily': 'Daily',
+    'mode.reverse': 'Reverse',
+    'mode.career': 'Career',
+    'reverseInput.names': 'Names',
+    'reverseInput.flags': 'Flags',
+    'careerClue.name': 'Name',
+    'careerClue.flag': 'Flag and position',
+    'preset.all': 'All years',
+    'preset.oldSchool': 'Old school',
+    'preset.modern': 'Modern',
+    'typos.strict': 'Strict',
+    'typos.lenient': 'Lenient',
+    'typos.loose': 'Loose',
+    'results.title': 'Results',
+    'results.score': 'Score: {score}',
+    'results.rosters': 'Rosters: {rosters} ({perfect} perfect)',
+    'results.accuracy': 'Accuracy: {accuracy}%',
+    'results.bestStreak': 'Best streak: {streak}',
+    'results.outcomes': 'Answered {answered} / Skipped {skipped} / Revealed {revealed}',
+    'results.hinted': 'Parts hinted: {hinted}',
+    'results.roster': 'Roster',
+    'results.points': 'Points',
+    'results.lifetime': 'Lifetime',
+    'results.rostersPlayed': 'Rosters played: {played} / {total}',
+    'results.hardestNationalities': 'Hardest nationalities',
+    'blitz.presetGlobal': '{minutes} min run',
+    'blitz.presetRoster': '{seconds} s x {rosters} rosters',
+    'blitz.introGlobal': 'Answer as many parts as you can in {seconds} seconds.',
+    'blitz.introRoster': '{rosters} rosters, {seconds} seconds each.',
+    'blitz.start': 'START BLITZ',
+    'blitz.timeLeft': 'TIME LEFT',
+    'blitz.rosterClock': 'ROSTER {current} / {total}',
+    'blitz.timesUp': 'Time\'s up!',
+    'blitz.partsAnswered': 'Parts answered: {count}',
+    'blitz.playAgain': 'PLAY AGAIN',
+    'daily.intro': '{count} rosters, the same for everyone today. You get one try.',
+    'daily.start': 'START DAILY',
+    'daily.title': 'Daily #{number}',
+    'daily.share': 'SHARE',
+    'daily.copied': 'COPIED!',
+    'daily.shareTitle': 'LCS LEC Team Quiz – Daily #{number}',
+    'daily.sharePoints': '{score} points',
+    'daily.sharePointsUnfinished': '{score} points (unfinished)',
+    'daily.comeBack': 'Come back tomorrow for a new daily.',
+    'daily.unfinished': 'Daily left unfinished. Come back tomorrow for a new one.',
+    'multiplayer.players': 'Players',
+    'multiplayer.defaultName': 'Player {number}',
+    'multiplayer.addPlayer': '+ Add player',
+    'multiplayer.turns': 'Turns',
+    'multiplayer.perRoster': 'Per roster',
+    'multiplayer.perPart': 'Per part',
+    'multiplayer.rounds': 'Rounds',
+    'multiplayer.start': 'START MATCH',
+    'multiplayer.newMatch': 'NEW MATCH',
+    'multiplayer.round': 'ROUND {round} / {rounds}',
+    'multiplayer.tie': 'Tie: {names}',
+    'multiplayer.wins': '{name} wins!',
+    'challenge.label': 'Challenge',
+    'challenge.copy': 'Copy challenge link',
+    'challenge.leave': 'Leave challenge',
+    'challenge.builtinOnly': 'Challenge links only work with the built-in rosters.',
+    'challenge.started': 'New challenge started, link copied!',
+    'challenge.copied': 'Link copied!',
+    'challenge.copyByHand': 'Copy this link and send it to your friends:',
+    'packs.show': 'Custom packs',
+    'packs.hide': 'Hide custom packs',
+    'packs.rosterCount': '{name} ({count} rosters)',
+    'packs.play': 'Play',
+    'packs.edit': 'Edit',
+    'packs.export': 'Export',
+    'packs.delete': 'Delete',
+    'packs.namePlaceholder': 'Pack name',
+    'packs.defaultName': 'Pack {number}',
+    'packs.create': '+ New pack',
+    'packs.import': 'Import',
+    'packs.imported': 'Imported "{name}" with {count} rosters',
+    'packs.updated': 'Updated "{name}" with {count} rosters',
+    'packs.problems': '{message} ({count} problems)',
+    'packs.importFailed': 'Could not import {file}: {error}',
+    'packs.notPack': 'This is not a version {version} quiz pack',
+    'packs.missingFields': 'The quiz pack is missing its id, name, players, teams or quizzes',
+    'packs.malformed': 'The quiz pack has malformed players, teams or rosters',
+    'packs.badEntries': 'The quiz pack has players without IGNs or a nationality, or teams without a name or abbreviation',
+    'packs.otherPack': 'The quiz pack has rosters that belong to another pack',
+    'packEditor.name': 'Name',
+    'packEditor.rosters': 'Rosters',
+    'packEditor.noRosters': 'No rosters yet.',
+    'packEditor.addRoster': '+ Add roster',
+    'packEditor.newPlayer': 'New player',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': 'Flag',
+    'packEditor.addPlayer': '+ Add player',
+    'packEditor.newTeam': 'New team',
+    'packEditor.abbr': 'Abbr.',
+    'packEditor.addTeam': '+ Add team',
+    'packEditor.done': 'Done',
+    'validation.noPlayers': 'No players defined for position {position}',
+    'validation.noIgn': '{id} has no IGN',
+    'validation.ignNotText': '{id} has an IGN that is not text',
+    'validation.wrongPosition': '{id} is listed under {position} but has position {actual}',
+    'validation.noNationality': '{id} has no nationality',
+    'validation.noFlag': '{id} has nationality {nationality} with no flag asset',
+    'validation.sharedAlias': '{id} shares the IGN alias "{alias}" with {owner}',
+    'validation.teamNoName': 'Team {id} has no name',
+    'validation.teamFields': 'Team {id} has id {teamId}, abbreviation {abbr} and region {region}',
+    'validation.sharedAbbr': 'Team {id} shares the abbreviation {abbr} with {owner} in {region}',
+    'validation.quizNoId': 'Quiz has no id',
+    'validation.unknownTeam': '{id} references a team that is not in teams.json',
+    'validation.teamRegion': '{id} is in {region} but {abbr} is in {teamRegion}',
+    'validation.unknownRegion': '{id} has unknown region {region}',
+    'validation.unknownLeague': '{id} has unknown league {league}',
+    'validation.leagueRegion': '{id} is in {region} but {league} is in {leagueRegion}',
+    'validation.unknownSplit': '{id} has unknown split {split}',
+    'validation.year': '{id} has year {year} outside {from}-{to}',
+    'validation.unknownPlayer': '{id} references a {position} player that is not in players.json',
+    'validation.placedPlayer': '{id} places {player} ({actual}) at {position}',
+    'validation.duplicateQuiz': 'Duplicate quiz id {id}',
+    'validation.inPack': '{id} is already in the pack',
+    'validation.playerFields': 'The player needs an IGN and a flag',
+    'validation.playerTaken': 'There is already a {position} player called {id}',
+    'validation.teamNeedsName': 'The team needs a name and an abbreviation',
+    'career.count': '{found} of {total} teams and years found',
+    'career.next': 'NEXT PLAYER',
+    'career.reveal': 'REVEAL CAREER',
+    'career.emptyPool': 'No players with more than one team and year match this filter.',
+    'career.complete': 'You\'ve gone through every player!',
+    'hint.league': 'Plays in the {league}',
+    'hint.abbrLength': 'Abbreviation has {count} characters',
+    'hint.otherYears': 'Also quizzed in {years}',
+    'hint.teamInitial': 'Name starts with "{letter}"',
+    'hint.yearRange': 'Between {from} and {to}',
+    'hint.nationality': '{nationality} player',
+    'hint.playerInitial': 'Starts with "{letter}"',
+    'hint.ignLength': 'Has {count} characters',
+    'hint.otherRosters': 'Also played for {rosters}',
+    'announce.newRoster': 'New roster.',
+    'announce.question': '{part}?',
+    'announce.answer': '{part}: {answer}',
+    'announce.revealed': 'Revealed. {answers}.',
+    'announce.answered': 'Correct. {answer}.',
+    'announce.skipped': 'Skipped. {answer}.',
+    'announce.missed': 'Incorrect. {answer}.',
+    'announce.rosterComplete': 'Roster complete.',
+    'announce.correct': 'Correct.',
+    'announce.close': 'Close, but not quite.',
+    'announce.incorrect': 'Incorrect.',
+    'announce.newPlayer': 'New player: {player}. Team and year?',
+    'announce.careerComplete': 'Career complete.',
+  },
+  ja: {
+    'title.inspiredBy': '元ネタ: {video}',
+    'title.loadFailed': 'ロスターのデータを読み込めませんでした。ページを再読み込みしてください。',
+    'rules.title': 'ルール',
+    'rules.teams': 'NALCS、LCS、EULCS、LEC のチーム(アカデミーを除く)と、LCK、LPL、ERL、Worlds から選んだロスター。',
+    'rules.years': '2013年スプリングから2021年サマーまで。Worlds のロスターのスプリットは「worlds」です。',
+    'rules.official': '公式戦に1試合以上出場したロスター。',
+    'rules.igns': '競技用の IGN を変更した選手は、どの IGN でも正解になります。',
+    'rules.source': 'データは {source} に基づいています。',
+    'rules.sharedFlags': '同じ国旗の並びのロスターが複数ある場合、どれを答えても正解です。',
+    'rules.shortcuts': '? キーでキーボードショートカットを表示します。',
+    'rules.choices': '選択式では、タップか 1〜4 キーで選びます。間違えると答えが表示されます。',
+    'rules.reverse': 'リバースモードでは、そのチームがその年に出したどのロスターでも正解です。国旗を間違えると選手が表示されます。',
+    'rules.career': 'キャリアモードでは、チームと年で答えます(例: 「TSM 2015」)。',
+    'rules.review': '間違えたロスターは、何度か続けて正解するまで復習に出てきます。間違えた回数が多いものから出題されます。',
+    'part.team': 'チーム',
+    'part.year': '年',
+    'part.split': 'スプリット',
+    'split.spring': 'スプリング',
+    'split.summer': 'サマー',
+    'split.worlds': 'ワールド',
+    'part.career': 'チームと年',
+    'position.top': 'トップ',
+    'position.jg': 'ジャングル',
+    'position.mid': 'ミッド',
+    'position.bot': 'ボット',
+    'position.spt': 'サポート',
+    'input.close': '惜しい!',
+    'skip.quiz': '次の問題',
+    'skip.part': 'スキップ',
+    'score.score': 'スコア',
+    'score.streak': '連続正解',
+    'score.roster': 'ロスター',
+    'score.remaining': '残り',
+    'hints.button': 'ヒント (-{cost})',
+    'quiz.results': '結果',
+    'quiz.hideResults': '結果を隠す',
+    'quiz.resetProgress': '進捗をリセット',
+    'quiz.emptyPool': 'この条件に合うロスターはありません。',
+    'quiz.review': '復習',
+    'quiz.hideReview': '復習を隠す',
+    'runComplete.title': 'すべてのロスターを出題しました!',
+    'runComplete.reshuffle': 'シャッフル',
+    'runComplete.replayMissed': '間違えた問題に再挑戦 ({count})',
+    'runComplete.newFilter': '上の設定で条件を変えて続けることもできます。',
+    'review.title': '復習',
+    'review.start': '間違えた問題を復習 ({count})',
+    'review.nothingDue': '今復習するロスターはありません。',
+    'review.empty': 'このセッションではまだロスターをプレイしていません。',
+    'review.answered': '正解',
+    'review.skipped': 'スキップ',
+    'review.revealed': '表示',
+    'review.hinted': 'ヒント',
+    'shortcuts.button': '? ショートカット',
+    'shortcuts.title': 'キーボードショートカット',
+    'shortcuts.or': ' または ',
+    'shortcuts.close': '閉じる',
+    'shortcuts.skipPart': 'パートをスキップ',
+    'shortcuts.nextQuiz': '次の問題',
+    'shortcuts.hint': 'ヒントを見る(入力中は Alt + H)',
+    'shortcuts.choice': '選択式で選ぶ',
+    'shortcuts.help': 'ショートカットの表示/非表示',
+    'settings.language': '言語',
+    'settings.mode': 'モード',
+    'settings.rosters': 'ロスター',
+    'settings.builtin': '標準',
+    'settings.answerWith': '回答方法',
+    'settings.show': '表示',
+    'settings.clock': '時間',
+    'settings.league': 'リーグ',
+    'settings.allLeagues': 'すべて',
+    'settings.from': '開始',
+    'settings.to': '終了',
+    'settings.typos': 'タイプミス',
+    'settings.askSplit': 'スプリットも答える',
+    'settings.multipleChoice': '選択式',
+    'mode.classic': 'クラシック',
+    'mode.blitz': 'ブリッツ',
+    'mode.multiplayer': 'ホットシート',
+    'mode.daily': 'デイリー',
+    'mode.reverse': 'リバース',
+    'mode.career': 'キャリア',
+    'reverseInput.names': '名前',
+    'reverseInput.flags': '国旗',
+    'careerClue.name': '名前',
+    'careerClue.flag': '国旗とポジション',
+    'preset.all': '全期間',
+    'preset.oldSchool': '初期',
+    'preset.modern': '近年',
+    'typos.strict': '厳しい',
+    'typos.lenient': '普通',
+    'typos.loose': '緩い',
+    'results.title': '結果',
+    'results.score': 'スコア: {score}',
+    'results.rosters': 'ロスター: {rosters}(パーフェクト {perfect})',
+    'results.accuracy': '正答率: {accuracy}%',
+    'results.bestStreak': '最高連続正解: {streak}',
+    'results.outcomes': '正解 {answered} / スキップ {skipped} / 表示 {revealed}',
+    'results.hinted': 'ヒントを使ったパート: {hinted}',
+    'results.roster': 'ロスター',
+    'results.points': 'ポイント',
+    'results.lifetime': '通算',
+    'results.rostersPlayed': 'プレイしたロスター: {played} / {total}',
+    'results.hardestNationalities': '苦手な国籍',
+    'blitz.presetGlobal': '{minutes}分間',
+    'blitz.presetRoster': '{seconds}秒 × {rosters}ロスター',
+    'blitz.introGlobal': '{seconds}秒でできるだけ多くの項目に答えましょう。',
+    'blitz.introRoster': '{rosters}ロスター、各{seconds}秒。',
+    'blitz.start': 'ブリッツ開始',
+    'blitz.timeLeft': '残り時間',
+    'blitz.rosterClock': 'ロスター {current} / {total}',
+    'blitz.timesUp': 'タイムアップ!',
+    'blitz.partsAnswered': '正解した項目: {count}',
+    'blitz.playAgain': 'もう一度',
+    'daily.intro': '今日は全員共通の{count}ロスター。挑戦は1回だけです。',
+    'daily.start': 'デイリー開始',
+    'daily.title': 'デイリー #{number}',
+    'daily.share': 'シェア',
+    'daily.copied': 'コピーしました!',
+    'daily.shareTitle': 'LCS LEC Team Quiz – デイリー #{number}',
+    'daily.sharePoints': '{score}ポイント',
+    'daily.sharePointsUnfinished': '{score}ポイント(未完了)',
+    'daily.comeBack': '明日また新しいデイリーに挑戦しましょう。',
+    'daily.unfinished': 'デイリーは未完了です。明日また新しいデイリーに挑戦しましょう。',
+    'multiplayer.players': 'プレイヤー',
+    'multiplayer.defaultName': 'プレイヤー{number}',
+    'multiplayer.addPlayer': '+ プレイヤーを追加',
+    'multiplayer.turns': '手番',
+    'multiplayer.perRoster': 'ロスターごと',
+    'multiplayer.perPart': '項目ごと',
+    'multiplayer.rounds': 'ラウンド数',
+    'multiplayer.start': '対戦開始',
+    'multiplayer.newMatch': '新しい対戦',
+    'multiplayer.round': 'ラウンド {round} / {rounds}',
+    'multiplayer.tie': '引き分け: {names}',
+    'multiplayer.wins': '{name} の勝ち!',
+    'challenge.label': 'チャレンジ',
+    'challenge.copy': 'チャレンジのリンクをコピー',
+    'challenge.leave': 'チャレンジをやめる',
+    'challenge.builtinOnly': 'チャレンジのリンクは内蔵のロスターでのみ使えます。',
+    'challenge.started': '新しいチャレンジを開始し、リンクをコピーしました!',
+    'challenge.copied': 'リンクをコピーしました!',
+    'challenge.copyByHand': 'このリンクをコピーして友達に送りましょう:',
+    'packs.show': 'カスタムパック',
+    'packs.hide': 'カスタムパックを隠す',
+    'packs.rosterCount': '{name}({count}ロスター)',
+    'packs.play': 'プレイ',
+    'packs.edit': '編集',
+    'packs.export': 'エクスポート',
+    'packs.delete': '削除',
+    'packs.namePlaceholder': 'パック名',
+    'packs.defaultName': 'パック{number}',
+    'packs.create': '+ 新しいパック',
+    'packs.import': 'インポート',
+    'packs.imported': '「{name}」をインポートしました({count}ロスター)',
+    'packs.updated': '「{name}」を更新しました({count}ロスター)',
+    'packs.problems': '{message}(問題 {count}件)',
+    'packs.importFailed': '{file} をインポートできませんでした: {error}',
+    'packs.notPack': 'バージョン {version} のクイズパックではありません',
+    'packs.missingFields': 'クイズパックに ID、名前、選手、チーム、ロスターのいずれかがありません',
+    'packs.malformed': 'クイズパックの選手、チーム、ロスターの形式が正しくありません',
+    'packs.badEntries': 'IGN や国籍のない選手、または名前や略称のないチームがあります',
+    'packs.otherPack': 'クイズパックに別のパックのロスターが含まれています',
+    'packEditor.name': '名前',
+    'packEditor.rosters': 'ロスター',
+    'packEditor.noRosters': 'ロスターはまだありません。',
+    'packEditor.addRoster': '+ ロスターを追加',
+    'packEditor.newPlayer': '新しい選手',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': '国旗',
+    'packEditor.addPlayer': '+ 選手を追加',
+    'packEditor.newTeam': '新しいチーム',
+    'packEditor.abbr': '略称',
+    'packEditor.addTeam': '+ チームを追加',
+    'packEditor.done': '完了',
+    'validation.noPlayers': 'ポジション {position} の選手がいません',
+    'validation.noIgn': '{id} に IGN がありません',
+    'validation.ignNotText': '{id} の IGN が文字列ではありません',
+    'validation.wrongPosition': '{id} は {position} に登録されていますが、ポジションは {actual} です',
+    'validation.noNationality': '{id} に国籍がありません',
+    'validation.noFlag': '{id} の国籍 {nationality} には国旗の画像がありません',
+    'validation.sharedAlias': '{id} は IGN「{alias}」を {owner} と共有しています',
+    'validation.teamNoName': 'チーム {id} に名前がありません',
+    'validation.teamFields': 'チーム {id} の ID は {teamId}、略称は {abbr}、地域は {region} です',
+    'validation.sharedAbbr': 'チーム {id} は {region} で略称 {abbr} を {owner} と共有しています',
+    'validation.quizNoId': 'ロスターに ID がありません',
+    'validation.unknownTeam': '{id} は teams.json にないチームを参照しています',
+    'validation.teamRegion': '{id} は {region} ですが、{abbr} は {teamRegion} のチームです',
+    'validation.unknownRegion': '{id} の地域 {region} は不明です',
+    'validation.unknownLeague': '{id} のリーグ {league} は不明です',
+    'validation.leagueRegion': '{id} は {region} ですが、{league} は {leagueRegion} のリーグです',
+    'validation.unknownSplit': '{id} のスプリット {split} は不明です',
+    'validation.year': '{id} の年 {year} は {from}〜{to} の範囲外です',
+    'validation.unknownPlayer': '{id} は players.json にない {position} の選手を参照しています',
+    'validation.placedPlayer': '{id} は {player}({actual})を {position} に置いています',
+    'validation.duplicateQuiz': 'ロスター ID {id} が重複しています',
+    'validation.inPack': '{id} はすでにパックにあります',
+    'validation.playerFields': '選手には IGN と国旗が必要です',
+    'validation.playerTaken': '{position} にはすでに {id} という選手がいます',
+    'validation.teamNeedsName': 'チームには名前と略称が必要です',
+    'career.count': '{total}件中{found}件のチームと年を発見',
+    'career.next': '次の選手',
+    'career.reveal': 'キャリアを表示',
+    'career.emptyPool': 'この条件に合う、複数のチームと年を持つ選手はいません。',
+    'career.complete': 'すべての選手を出題しました!',
+    'hint.league': '{league} に所属',
+    'hint.abbrLength': '略称は{count}文字',
+    'hint.otherYears': '{years} にも出題',
+    'hint.teamInitial': '名前は「{letter}」で始まる',
+    'hint.yearRange': '{from}年から{to}年の間',
+    'hint.nationality': '国籍: {nationality}',
+    'hint.playerInitial': '「{letter}」で始まる',
+    'hint.ignLength': '{count}文字',
+    'hint.otherRosters': '{rosters} でもプレイ',
+    'announce.newRoster': '新しいロスター。',
+    'announce.question': '{part}は?',
+    'announce.answer': '{part}: {answer}',
+    'announce.revealed': '答えを表示。{answers}。',
+    'announce.answered': '正解。{answer}。',
+    'announce.skipped': 'スキップ。{answer}。',
+    'announce.missed': '不正解。{answer}。',
+    'announce.rosterComplete': 'ロスター完了。',
+    'announce.correct': '正解。',
+    'announce.close': '惜しい。',
+    'announce.incorrect': '不正解。',
+    'announce.newPlayer': '新しい選手: {player}。チームと年は?',
+    'announce.careerComplete': 'キャリア完了。',
+  },
+  'zh-TW': {
+    'title.inspiredBy': '靈感來自 {video}',
+    'title.loadFailed': '無法載入陣容資料,請重新整理頁面。',
+    'rules.title': '規則',
+    'rules.teams': 'NALCS、LCS、EULCS、LEC 的隊伍(不含青訓隊),以及精選的 LCK、LPL、ERL 與世界賽陣容。',
+    'rules.years': '從 2013 年春季賽到 2021 年夏季賽。世界賽陣容的賽季為「worlds」。',
+    'rules.official': '至少打過一場正式比賽的陣容。',
+    'rules.igns': '更改過比賽 ID 的選手,所有 ID 皆可作答。',
+    'rules.source': '資料來源為 {source}。',
+    'rules.sharedFlags': '若多個陣容的國旗組合相同,回答其中任何一個皆算正確。',
+    'rules.shortcuts': '按 ? 查看鍵盤快捷鍵。',
+    'rules.choices': '選擇題可點選或按 1-4 鍵作答。選錯會直接揭曉答案。',
+    'rules.reverse': '反向模式中,該隊伍當年的任何陣容皆算正確。選錯國旗會揭曉該選手。',
+    'rules.career': '生涯模式請回答隊伍與年份,例如「TSM 2015」。',
+    'rules.review': '答錯的陣容會在複習中再次出現,直到連續答對幾次為止,答錯次數最多的優先。',
+    'part.team': '隊伍',
+    'part.year': '年份',
+    'part.split': '賽季',
+    'split.spring': '春季賽',
+    'split.summer': '夏季賽',
+    'split.worlds': '世界賽',
+    'part.career': '隊伍與年份',
+    'position.top': '上路',
+    'position.jg': '打野',
+    'position.mid': '中路',
+    'position.bot': '下路',
+    'position.spt': '輔助',
+    'input.close': '很接近了!',
+    'skip.quiz': '下一題',
+    'skip.part': '跳過',
+    'score.score': '分數',
+    'score.streak': '連續答對',
+    'score.roster': '陣容',
+    'score.remaining': '剩餘',
+    'hints.button': '提示 (-{cost})',
+    'quiz.results': '成績',
+    'quiz.hideResults': '隱藏成績',
+    'quiz.resetProgress': '重設進度',
+    'quiz.emptyPool': '沒有符合篩選條件的陣容。',
+    'quiz.review': '複習',
+    'quiz.hideReview': '隱藏複習',
+    'runComplete.title': '所有陣容都出過了!',
+    'runComplete.reshuffle': '重新洗牌',
+    'runComplete.replayMissed': '重玩答錯的陣容 ({count})',
+    'runComplete.newFilter': '或在上方設定中換個篩選條件繼續。',
+    'review.title': '複習',
+    'review.start': '複習答錯的陣容 ({count})',
+    'review.nothingDue': '目前沒有需要複習的陣容。',
+    'review.empty': '本次還沒有玩過任何陣容。',
+    'review.answered': '答對',
+    'review.skipped': '跳過',
+    'review.revealed': '揭曉',
+    'review.hinted': '提示',
+    'shortcuts.button': '? 快捷鍵',
+    'shortcuts.title': '鍵盤快捷鍵',
+    'shortcuts.or': ' 或 ',
+    'shortcuts.close': '關閉',
+    'shortcuts.skipPart': '跳過此部分',
+    'shortcuts.nextQuiz': '下一題',
+    'shortcuts.hint': '取得提示(輸入時按 Alt + H)',
+    'shortcuts.choice': '在選擇題中選擇選項',
+    'shortcuts.help': '顯示或隱藏快捷鍵',
+    'settings.language': '語言',
+    'settings.mode': '模式',
+    'settings.rosters': '陣容',
+    'settings.builtin': '內建',
+    'settings.answerWith': '作答方式',
+    'settings.show': '顯示',
+    'settings.clock': '計時',
+    'settings.league': '聯賽',
+    'settings.allLeagues': '全部',
+    'settings.from': '從',
+    'settings.to': '到',
+    'settings.typos': '錯字',
+    'settings.askSplit': '詢問賽季',
+    'settings.multipleChoice': '選擇題',
+    'mode.classic': '經典',
+    'mode.blitz': '限時',
+    'mode.multiplayer': '輪流對戰',
+    'mode.daily': '每日挑戰',
+    'mode.reverse': '反向',
+    'mode.career': '生涯',
+    'reverseInput.names': '名字',
+    'reverseInput.flags': '國旗',
+    'careerClue.name': '名字',
+    'careerClue.flag': '國旗與位置',
+    'preset.all': '所有年份',
+    'preset.oldSchool': '早期',
+    'preset.modern': '近期',
+    'typos.strict': '嚴格',
+    'typos.lenient': '寬鬆',
+    'typos.loose': '非常寬鬆',
+    'results.title': '成績',
+    'results.score': '分數:{score}',
+    'results.rosters': '陣容:{rosters}(完美 {perfect})',
+    'results.accuracy': '正確率:{accuracy}%',
+    'results.bestStreak': '最高連續答對:{streak}',
+    'results.outcomes': '答對 {answered} / 跳過 {skipped} / 揭曉 {revealed}',
+    'results.hinted': '使用提示的部分:{hinted}',
+    'results.roster': '陣容',
+    'results.points': '分數',
+    'results.lifetime': '累計',
+    'results.rostersPlayed': '已玩陣容:{played} / {total}',
+    'results.hardestNationalities': '最難的國籍',
+    'blitz.presetGlobal': '{minutes} 分鐘',
+    'blitz.presetRoster': '{seconds} 秒 × {rosters} 個陣容',
+    'blitz.introGlobal': '在 {seconds} 秒內答出越多項目越好。',
+    'blitz.introRoster': '{rosters} 個陣容,每個 {seconds} 秒。',
+    'blitz.start': '開始快問快答',
+    'blitz.timeLeft': '剩餘時間',
+    'blitz.rosterClock': '陣容 {current} / {total}',
+    'blitz.timesUp': '時間到!',
+    'blitz.partsAnswered': '答對項目:{count}',
+    'blitz.playAgain': '再玩一次',
+    'daily.intro': '今天所有人都是同樣的 {count} 個陣容,只有一次機會。',
+    'daily.start': '開始每日挑戰',
+    'daily.title': '每日挑戰 #{number}',
+    'daily.share': '分享',
+    'daily.copied': '已複製!',
+    'daily.shareTitle': 'LCS LEC Team Quiz – 每日挑戰 #{number}',
+    'daily.sharePoints': '{score} 分',
+    'daily.sharePointsUnfinished': '{score} 分(未完成)',
+    'daily.comeBack': '明天再來挑戰新的每日題目。',
+    'daily.unfinished': '每日挑戰未完成。明天再來挑戰新的題目。',
+    'multiplayer.players': '玩家',
+    'multiplayer.defaultName': '玩家 {number}',
+    'multiplayer.addPlayer': '+ 新增玩家',
+    'multiplayer.turns': '輪替',
+    'multiplayer.perRoster': '每個陣容',
+    'multiplayer.perPart': '每個項目',
+    'multiplayer.rounds': '回合數',
+    'multiplayer.start': '開始對戰',
+    'multiplayer.newMatch': '新對戰',
+    'multiplayer.round': '第 {round} / {rounds} 回合',
+    'multiplayer.tie': '平手:{names}',
+    'multiplayer.wins': '{name} 獲勝!',
+    'challenge.label': '挑戰',
+    'challenge.copy': '複製挑戰連結',
+    'challenge.leave': '離開挑戰',
+    'challenge.builtinOnly': '挑戰連結只能用於內建陣容。',
+    'challenge.started': '已開始新挑戰並複製連結!',
+    'challenge.copied': '已複製連結!',
+    'challenge.copyByHand': '複製這個連結傳給朋友:',
+    'packs.show': '自訂題庫',
+    'packs.hide': '隱藏自訂題庫',
+    'packs.rosterCount': '{name}({count} 個陣容)',
+    'packs.play': '遊玩',
+    'packs.edit': '編輯',
+    'packs.export': '匯出',
+    'packs.delete': '刪除',
+    'packs.namePlaceholder': '題庫名稱',
+    'packs.defaultName': '題庫 {number}',
+    'packs.create': '+ 新增題庫',
+    'packs.import': '匯入',
+    'packs.imported': '已匯入「{name}」,共 {count} 個陣容',
+    'packs.updated': '已更新「{name}」,共 {count} 個陣容',
+    'packs.problems': '{message}({count} 個問題)',
+    'packs.importFailed': '無法匯入 {file}:{error}',
+    'packs.notPack': '這不是第 {version} 版的題庫包',
+    'packs.missingFields': '題庫包缺少 ID、名稱、選手、隊伍或陣容',
+    'packs.malformed': '題庫包的選手、隊伍或陣容格式錯誤',
+    'packs.badEntries': '題庫包中有缺少 IGN 或國籍的選手,或缺少名稱或縮寫的隊伍',
+    'packs.otherPack': '題庫包中有屬於其他題庫包的陣容',
+    'packEditor.name': '名稱',
+    'packEditor.rosters': '陣容',
+    'packEditor.noRosters': '還沒有陣容。',
+    'packEditor.addRoster': '+ 新增陣容',
+    'packEditor.newPlayer': '新選手',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': '國旗',
+    'packEditor.addPlayer': '+ 新增選手',
+    'packEditor.newTeam': '新隊伍',
+    'packEditor.abbr': '縮寫',
+    'packEditor.addTeam': '+ 新增隊伍',
+    'packEditor.done': '完成',
+    'validation.noPlayers': '位置 {position} 沒有任何選手',
+    'validation.noIgn': '{id} 沒有 IGN',
+    'validation.ignNotText': '{id} 的 IGN 不是文字',
+    'validation.wrongPosition': '{id} 列在 {position},但位置是 {actual}',
+    'validation.noNationality': '{id} 沒有國籍',
+    'validation.noFlag': '{id} 的國籍 {nationality} 沒有國旗圖片',
+    'validation.sharedAlias': '{id} 與 {owner} 共用 IGN「{alias}」',
+    'validation.teamNoName': '隊伍 {id} 沒有名稱',
+    'validation.teamFields': '隊伍 {id} 的 ID 為 {teamId}、縮寫為 {abbr}、地區為 {region}',
+    'validation.sharedAbbr': '隊伍 {id} 在 {region} 與 {owner} 共用縮寫 {abbr}',
+    'validation.quizNoId': '陣容沒有 ID',
+    'validation.unknownTeam': '{id} 引用了不在 teams.json 中的隊伍',
+    'validation.teamRegion': '{id} 屬於 {region},但 {abbr} 屬於 {teamRegion}',
+    'validation.unknownRegion': '{id} 的地區 {region} 不存在',
+    'validation.unknownLeague': '{id} 的聯賽 {league} 不存在',
+    'validation.leagueRegion': '{id} 屬於 {region},但 {league} 屬於 {leagueRegion}',
+    'validation.unknownSplit': '{id} 的賽季 {split} 不存在',
+    'validation.year': '{id} 的年份 {year} 不在 {from}-{to} 之間',
+    'validation.unknownPlayer': '{id} 引用了不在 players.json 中的 {position} 選手',
+    'validation.placedPlayer': '{id} 把 {player}({actual})放在 {position}',
+    'validation.duplicateQuiz': '陣容 ID {id} 重複',
+    'validation.inPack': '{id} 已在題庫包中',
+    'validation.playerFields': '選手需要 IGN 與國旗',
+    'validation.playerTaken': '{position} 已經有名為 {id} 的選手',
+    'validation.teamNeedsName': '隊伍需要名稱與縮寫',
+    'career.count': '已找到 {found} / {total} 個隊伍與年份',
+    'career.next': '下一位選手',
+    'career.reveal': '顯示生涯',
+    'career.emptyPool': '沒有符合這個篩選、且有多個隊伍與年份的選手。',
+    'career.complete': '所有選手都出過了!',
+    'hint.league': '在 {league} 比賽',
+    'hint.abbrLength': '縮寫有 {count} 個字元',
+    'hint.otherYears': '{years} 也有出題',
+    'hint.teamInitial': '名稱以「{letter}」開頭',
+    'hint.yearRange': '介於 {from} 到 {to} 年之間',
+    'hint.nationality': '國籍:{nationality}',
+    'hint.playerInitial': '以「{letter}」開頭',
+    'hint.ignLength': '有 {count} 個字元',
+    'hint.otherRosters': '也曾效力於 {rosters}',
+    'announce.newRoster': '新陣容。',
+    'announce.question': '{part}?',
+    'announce.answer': '{part}:{answer}',
+    'announce.revealed': '已公布答案。{answers}。',
+    'announce.answered': '正確。{answer}。',
+    'announce.skipped': '已跳過。{answer}。',
+    'announce.missed': '錯誤。{answer}。',
+    'announce.rosterComplete': '陣容完成。',
+    'announce.correct': '正確。',
+    'announce.close': '很接近了。',
+    'announce.incorrect': '錯誤。',
+    'announce.newPlayer': '新選手:{player}。隊伍與年份?',
+    'announce.careerComplete': '生涯完成。',
+  },
+  ko: {
+    'title.inspiredBy': '{video}에서 영감을 받았습니다',
+    'title.loadFailed': '로스터 데이터를 불러올 수 없습니다. 페이지를 새로고침하세요.',
+    'rules.title': '규칙',
+    'rules.teams': 'NALCS, LCS, EULCS, LEC 팀(아카데미 제외)과 엄선한 LCK, LPL, ERL, 월드 챔피언십 로스터.',
+    'rules.years': '2013 스프링부터 2021 서머까지. 월드 챔피언십 로스터의 스플릿은 "worlds"입니다.',
+    'rules.official': '공식 경기를 한 번 이상 치른 로스터.',
+    'rules.igns': '대회 닉네임을 바꾼 선수는 모든 닉네임이 정답으로 인정됩니다.',
+    'rules.source': '데이터 출처: {source}.',
+    'rules.sharedFlags': '같은 국기 조합의 로스터가 여러 개라면 그중 어느 것이든 정답입니다.',
+    'rules.shortcuts': '?를 누르면 키보드 단축키를 볼 수 있습니다.',
+    'rules.choices': '객관식에서는 탭하거나 1-4 키로 고릅니다. 틀리면 정답이 공개됩니다.',
+    'rules.reverse': '리버스 모드에서는 그 팀의 그해 로스터라면 어느 것이든 정답입니다. 국기를 잘못 고르면 선수가 공개됩니다.',
+    'rules.career': '커리어 모드에서는 팀과 연도로 답합니다. 예: "TSM 2015".',
+    'rules.review': '틀린 로스터는 몇 번 연속으로 맞힐 때까지 복습에 다시 나옵니다. 많이 틀린 로스터가 먼저 나옵니다.',
+    'part.team': '팀',
+    'part.year': '연도',
+    'part.split': '스플릿',
+    'split.spring': '스프링',
+    'split.summer': '서머',
+    'split.worlds': '월즈',
+    'part.career': '팀과 연도',
+    'position.top': '탑',
+    'position.jg': '정글',
+    'position.mid': '미드',
+    'position.bot': '바텀',
+    'position.spt': '서포터',
+    'input.close': '아깝네요!',
+    'skip.quiz': '다음 문제',
+    'skip.part': '건너뛰기',
+    'score.score': '점수',
+    'score.streak': '연속 정답',
+    'score.roster': '로스터',
+    'score.remaining': '남은 문제',
+    'hints.button': '힌트 (-{cost})',
+    'quiz.results': '결과',
+    'quiz.hideResults': '결과 숨기기',
+    'quiz.resetProgress': '진행 상황 초기화',
+    'quiz.emptyPool': '이 조건에 맞는 로스터가 없습니다.',
+    'quiz.review': '복습',
+    'quiz.hideReview': '복습 숨기기',
+    'runComplete.title': '모든 로스터를 풀었습니다!',
+    'runComplete.reshuffle': '다시 섞기',
+    'runComplete.replayMissed': '틀린 문제 다시 풀기 ({count})',
+    'runComplete.newFilter': '또는 위 설정에서 새 조건으로 계속하세요.',
+    'review.title': '복습',
+    'review.start': '틀린 문제 복습 ({count})',
+    'review.nothingDue': '지금 복습할 로스터가 없습니다.',
+    'review.empty': '이번 세션에서 아직 플레이한 로스터가 없습니다.',
+    'review.answered': '정답',
+    'review.skipped': '건너뜀',
+    'review.revealed': '공개',
+    'review.hinted': '힌트',
+    'shortcuts.button': '? 단축키',
+    'shortcuts.title': '키보드 단축키',
+    'shortcuts.or': ' 또는 ',
+    'shortcuts.close': '닫기',
+    'shortcuts.skipPart': '이 항목 건너뛰기',
+    'shortcuts.nextQuiz': '다음 문제',
+    'shortcuts.hint': '힌트 보기 (입력 중에는 Alt + H)',
+    'shortcuts.choice': '객관식 보기 고르기',
+    'shortcuts.help': '단축키 보기/숨기기',
+    'settings.language': '언어',
+    'settings.mode': '모드',
+    'settings.rosters': '로스터',
+    'settings.builtin': '기본',
+    'settings.answerWith': '답하는 방법',
+    'settings.show': '표시',
+    'settings.clock': '시간',
+    'settings.league': '리그',
+    'settings.allLeagues': '전체',
+    'settings.from': '시작',
+    'settings.to': '끝',
+    'settings.typos': '오타',
+    'settings.askSplit': '스플릿도 묻기',
+    'settings.multipleChoice': '객관식',
+    'mode.classic': '클래식',
+    'mode.blitz': '블리츠',
+    'mode.multiplayer': '번갈아 하기',
+    'mode.daily': '데일리',
+    'mode.reverse': '리버스',
+    'mode.career': '커리어',
+    'reverseInput.names': '이름',
+    'reverseInput.flags': '국기',
+    'careerClue.name': '이름',
+    'careerClue.flag': '국기와 포지션',
+    'preset.all': '전체 연도',
+    'preset.oldSchool': '올드 스쿨',
+    'preset.modern': '최근',
+    'typos.strict': '엄격',
+    'typos.lenient': '보통',
+    'typos.loose': '느슨',
+    'results.title': '결과',
+    'results.score': '점수: {score}',
+    'results.rosters': '로스터: {rosters} (퍼펙트 {perfect})',
+    'results.accuracy': '정답률: {accuracy}%',
+    'results.bestStreak': '최고 연속 정답: {streak}',
+    'results.outcomes': '정답 {answered} / 건너뜀 {skipped} / 공개 {revealed}',
+    'results.hinted': '힌트를 쓴 항목: {hinted}',
+    'results.roster': '로스터',
+    'results.points': '점수',
+    'results.lifetime': '누적',
+    'results.rostersPlayed': '플레이한 로스터: {played} / {total}',
+    'results.hardestNationalities': '가장 어려운 국적',
+    'blitz.presetGlobal': '{minutes}분',
+    'blitz.presetRoster': '{seconds}초 × 로스터 {rosters}개',
+    'blitz.introGlobal': '{seconds}초 안에 최대한 많은 항목을 맞혀 보세요.',
+    'blitz.introRoster': '로스터 {rosters}개, 각 {seconds}초.',
+    'blitz.start': '블리츠 시작',
+    'blitz.timeLeft': '남은 시간',
+    'blitz.rosterClock': '로스터 {current} / {total}',
+    'blitz.timesUp': '시간 종료!',
+    'blitz.partsAnswered': '맞힌 항목: {count}',
+    'blitz.playAgain': '다시 하기',
+    'daily.intro': '오늘은 모두에게 같은 로스터 {count}개. 기회는 한 번입니다.',
+    'daily.start': '데일리 시작',
+    'daily.title': '데일리 #{number}',
+    'daily.share': '공유',
+    'daily.copied': '복사했습니다!',
+    'daily.shareTitle': 'LCS LEC Team Quiz – 데일리 #{number}',
+    'daily.sharePoints': '{score}점',
+    'daily.sharePointsUnfinished': '{score}점 (미완료)',
+    'daily.comeBack': '내일 새 데일리로 다시 만나요.',
+    'daily.unfinished': '데일리를 끝내지 못했습니다. 내일 새 데일리로 다시 만나요.',
+    'multiplayer.players': '플레이어',
+    'multiplayer.defaultName': '플레이어 {number}',
+    'multiplayer.addPlayer': '+ 플레이어 추가',
+    'multiplayer.turns': '차례',
+    'multiplayer.perRoster': '로스터마다',
+    'multiplayer.perPart': '항목마다',
+    'multiplayer.rounds': '라운드 수',
+    'multiplayer.start': '대결 시작',
+    'multiplayer.newMatch': '새 대결',
+    'multiplayer.round': '라운드 {round} / {rounds}',
+    'multiplayer.tie': '무승부: {names}',
+    'multiplayer.wins': '{name} 승리!',
+    'challenge.label': '챌린지',
+    'challenge.copy': '챌린지 링크 복사',
+    'challenge.leave': '챌린지 나가기',
+    'challenge.builtinOnly': '챌린지 링크는 기본 로스터에서만 사용할 수 있습니다.',
+    'challenge.started': '새 챌린지를 시작하고 링크를 복사했습니다!',
+    'challenge.copied': '링크를 복사했습니다!',
+    'challenge.copyByHand': '이 링크를 복사해서 친구에게 보내세요:',
+    'packs.show': '커스텀 팩',
+    'packs.hide': '커스텀 팩 숨기기',
+    'packs.rosterCount': '{name} (로스터 {count}개)',
+    'packs.play': '플레이',
+    'packs.edit': '편집',
+    'packs.export': '내보내기',
+    'packs.delete': '삭제',
+    'packs.namePlaceholder': '팩 이름',
+    'packs.defaultName': '팩 {number}',
+    'packs.create': '+ 새 팩',
+    'packs.import': '가져오기',
+    'packs.imported': '"{name}"을(를) 가져왔습니다 (로스터 {count}개)',
+    'packs.updated': '"{name}"을(를) 업데이트했습니다 (로스터 {count}개)',
+    'packs.problems': '{message} (문제 {count}개)',
+    'packs.importFailed': '{file}을(를) 가져올 수 없습니다: {error}',
+    'packs.notPack': '버전 {version} 퀴즈 팩이 아닙니다',
+    'packs.missingFields': '퀴즈 팩에 ID, 이름, 선수, 팀, 로스터 중 일부가 없습니다',
+    'packs.malformed': '퀴즈 팩의 선수, 팀 또는 로스터 형식이 잘못되었습니다',
+    'packs.badEntries': 'IGN이나 국적이 없는 선수, 또는 이름이나 약칭이 없는 팀이 있습니다',
+    'packs.otherPack': '퀴즈 팩에 다른 팩의 로스터가 들어 있습니다',
+    'packEditor.name': '이름',
+    'packEditor.rosters': '로스터',
+    'packEditor.noRosters': '아직 로스터가 없습니다.',
+    'packEditor.addRoster': '+ 로스터 추가',
+    'packEditor.newPlayer': '새 선수',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': '국기',
+    'packEditor.addPlayer': '+ 선수 추가',
+    'packEditor.newTeam': '새 팀',
+    'packEditor.abbr': '약칭',
+    'packEditor.addTeam': '+ 팀 추가',
+    'packEditor.done': '완료',
+    'validation.noPlayers': '포지션 {position}에 선수가 없습니다',
+    'validation.noIgn': '{id}에 IGN이 없습니다',
+    'validation.ignNotText': '{id}의 IGN이 텍스트가 아닙니다',
+    'validation.wrongPosition': '{id}은(는) {position}에 있지만 포지션은 {actual}입니다',
+    'validation.noNationality': '{id}에 국적이 없습니다',
+    'validation.noFlag': '{id}의 국적 {nationality}에 해당하는 국기 이미지가 없습니다',
+    'validation.sharedAlias': '{id}은(는) IGN "{alias}"을(를) {owner}와 같이 씁니다',
+    'validation.teamNoName': '팀 {id}에 이름이 없습니다',
+    'validation.teamFields': '팀 {id}의 ID는 {teamId}, 약칭은 {abbr}, 지역은 {region}입니다',
+    'validation.sharedAbbr': '팀 {id}은(는) {region}에서 {owner}와 같은 약칭 {abbr}을(를) 씁니다',
+    'validation.quizNoId': '로스터에 ID가 없습니다',
+    'validation.unknownTeam': '{id}이(가) teams.json에 없는 팀을 가리킵니다',
+    'validation.teamRegion': '{id}은(는) {region}이지만 {abbr}은(는) {teamRegion} 팀입니다',
+    'validation.unknownRegion': '{id}의 지역 {region}을(를) 알 수 없습니다',
+    'validation.unknownLeague': '{id}의 리그 {league}을(를) 알 수 없습니다',
+    'validation.leagueRegion': '{id}은(는) {region}이지만 {league}은(는) {leagueRegion} 리그입니다',
+    'validation.unknownSplit': '{id}의 스플릿 {split}을(를) 알 수 없습니다',
+    'validation.year': '{id}의 연도 {year}은(는) {from}-{to} 범위 밖입니다',
+    'validation.unknownPlayer': '{id}이(가) players.json에 없는 {position} 선수를 가리킵니다',
+    'validation.placedPlayer': '{id}은(는) {player}({actual})를 {position}에 배치합니다',
+    'validation.duplicateQuiz': '로스터 ID {id}이(가) 중복됩니다',
+    'validation.inPack': '{id}은(는) 이미 팩에 있습니다',
+    'validation.playerFields': '선수에게는 IGN과 국기가 필요합니다',
+    'validation.playerTaken': '{position}에 이미 {id}(이)라는 선수가 있습니다',
+    'validation.teamNeedsName': '팀에는 이름과 약칭이 필요합니다',
+    'career.count': '팀과 연도 {total}개 중 {found}개 찾음',
+    'career.next': '다음 선수',
+    'career.reveal': '커리어 공개',
+    'career.emptyPool': '이 필터에 맞는, 팀과 연도가 두 개 이상인 선수가 없습니다.',
+    'career.complete': '모든 선수를 풀었습니다!',
+    'hint.league': '{league} 소속',
+    'hint.abbrLength': '약칭은 {count}글자',
+    'hint.otherYears': '{years}에도 출제됨',
+    'hint.teamInitial': '이름이 "{letter}"(으)로 시작',
+    'hint.yearRange': '{from}년에서 {to}년 사이',
+    'hint.nationality': '국적: {nationality}',
+    'hint.playerInitial': '"{letter}"(으)로 시작',
+    'hint.ignLength': '{count}글자',
+    'hint.otherRosters': '{rosters}에서도 활동',
+    'announce.newRoster': '새 로스터.',
+    'announce.question': '{part}?',
+    'announce.answer': '{part}: {answer}',
+    'announce.revealed': '정답 공개. {answers}.',
+    'announce.answered': '정답. {answer}.',
+    'announce.skipped': '건너뜀. {answer}.',
+    'announce.missed': '오답. {answer}.',
+    'announce.rosterComplete': '로스터 완료.',
+    'announce.correct': '정답.',
+    'announce.close': '아깝네요.',
+    'announce.incorrect': '오답.',
+    'announce.newPlayer': '새 선수: {player}. 팀과 연도는?',
+    'announce.careerComplete': '커리어 완료.',
+  },
+  de: {
+    'title.inspiredBy': 'Inspiriert von {video}',
+    'title.loadFailed': 'Die Kaderdaten konnten nicht geladen werden. Bitte lade die Seite neu.',
+    'rules.title': 'Regeln',
+    'rules.teams': 'Teams aus NALCS, LCS, EULCS und LEC ohne Academy-Teams, dazu ausgewählte Kader aus LCK, LPL, ERL und Worlds.',
+    'rules.years': 'Von Spring 2013 bis Summer 2021. Worlds-Kader haben „worlds“ als Split.',
+    'rules.official': 'Kader, die mindestens ein offizielles Spiel bestritten haben.',
+    'rules.igns': 'Bei Spielern mit geänderten Turnier-IGNs zählen alle IGNs.',
+    'rules.source': 'Die Daten stammen aus {source}.',
+    'rules.sharedFlags': 'Haben mehrere Kader dieselben Flaggen, zählt jeder davon.',
+    'rules.shortcuts': 'Drücke ? für Tastenkürzel.',
+    'rules.choices': 'Bei Multiple Choice tippst du eine Antwort an oder drückst 1-4. Eine falsche Wahl deckt die Antwort auf.',
+    'rules.reverse': 'Im Rückwärtsmodus zählt jeder Kader, den das Team in dem Jahr hatte. Eine falsche Flagge deckt den Spieler auf.',
+    'rules.career': 'Im Karrieremodus antwortest du mit Team und Jahr, z. B. „TSM 2015“.',
+    'rules.review': 'Verpasste Kader kommen in der Wiederholung zurück, bis du sie ein paar Mal hintereinander richtig hast – die am häufigsten verpassten zuerst.',
+    'part.team': 'Team',
+    'part.year': 'Jahr',
+    'part.split': 'Split',
+    'split.spring': 'Spring',
+    'split.summer': 'Summer',
+    'split.worlds': 'Worlds',
+    'part.career': 'Team und Jahr',
+    'position.top': 'Top',
+    'position.jg': 'Jungle',
+    'position.mid': 'Mid',
+    'position.bot': 'Bot',
+    'position.spt': 'Support',
+    'input.close': 'Knapp daneben',
+    'skip.quiz': 'NÄCHSTES QUIZ',
+    'skip.part': 'ÜBERSPRINGEN',
+    'score.score': 'PUNKTE',
+    'score.streak': 'SERIE',
+    'score.roster': 'KADER',
+    'score.remaining': 'ÜBRIG',
+    'hints.button': 'TIPP (-{cost})',
+    'quiz.results': 'ERGEBNISSE',
+    'quiz.hideResults': 'ERGEBNISSE AUSBLENDEN',
+    'quiz.resetProgress': 'FORTSCHRITT ZURÜCKSETZEN',
+    'quiz.emptyPool': 'Kein Kader passt zu diesem Filter.',
+    'quiz.review': 'WIEDERHOLUNG',
+    'quiz.hideReview': 'WIEDERHOLUNG AUSBLENDEN',
+    'runComplete.title': 'Du hast alle Kader gesehen!',
+    'runComplete.reshuffle': 'NEU MISCHEN',
+    'runComplete.replayMissed': 'VERPASSTE WIEDERHOLEN ({count})',
+    'runComplete.newFilter': 'Oder oben in den Einstellungen mit einem neuen Filter weitermachen.',
+    'review.title': 'Wiederholung',
+    'review.start': 'VERPASSTE WIEDERHOLEN ({count})',
+    'review.nothingDue': 'Gerade ist kein verpasster Kader zur Wiederholung fällig.',
+    'review.empty': 'In dieser Sitzung wurde noch kein Kader gespielt.',
+    'review.answered': 'Gewusst',
+    'review.skipped': 'Übersprungen',
+    'review.revealed': 'Aufgedeckt',
+    'review.hinted': 'Mit Tipp',
+    'shortcuts.button': '? Tastenkürzel',
+    'shortcuts.title': 'Tastenkürzel',
+    'shortcuts.or': ' oder ',
+    'shortcuts.close': 'Schließen',
+    'shortcuts.skipPart': 'Teil überspringen',
+    'shortcuts.nextQuiz': 'Nächstes Quiz',
+    'shortcuts.hint': 'Tipp nehmen (Alt + H beim Tippen)',
+    'shortcuts.choice': 'Bei Multiple Choice eine Antwort wählen',
+    'shortcuts.help': 'Tastenkürzel ein- oder ausblenden',
+    'settings.language': 'Sprache',
+    'settings.mode': 'Modus',
+    'settings.rosters': 'Kader',
+    'settings.builtin': 'Eingebaut',
+    'settings.answerWith': 'Antworten mit',
+    'settings.show': 'Zeigen',
+    'settings.clock': 'Uhr',
+    'settings.league': 'Liga',
+    'settings.allLeagues': 'Alle',
+    'settings.from': 'Von',
+    'settings.to': 'Bis',
+    'settings.typos': 'Tippfehler',
+    'settings.askSplit': 'Split abfragen',
+    'settings.multipleChoice': 'Multiple Choice',
+    'mode.classic': 'Klassisch',
+    'mode.blitz': 'Blitz',
+    'mode.multiplayer': 'Hot-Seat',
+    'mode.daily': 'Täglich',
+    'mode.reverse': 'Rückwärts',
+    'mode.career': 'Karriere',
+    'reverseInput.names': 'Namen',
+    'reverseInput.flags': 'Flaggen',
+    'careerClue.name': 'Name',
+    'careerClue.flag': 'Flagge und Position',
+    'preset.all': 'Alle Jahre',
+    'preset.oldSchool': 'Old School',
+    'preset.modern': 'Modern',
+    'typos.strict': 'Streng',
+    'typos.lenient': 'Nachsichtig',
+    'typos.loose': 'Locker',
+    'results.title': 'Ergebnisse',
+    'results.score': 'Punkte: {score}',
+    'results.rosters': 'Kader: {rosters} ({perfect} perfekt)',
+    'results.accuracy': 'Trefferquote: {accuracy} %',
+    'results.bestStreak': 'Beste Serie: {streak}',
+    'results.outcomes': 'Gewusst {answered} / Übersprungen {skipped} / Aufgedeckt {revealed}',
+    'results.hinted': 'Teile mit Tipp: {hinted}',
+    'results.roster': 'Kader',
+    'results.points': 'Punkte',
+    'results.lifetime': 'Gesamt',
+    'results.rostersPlayed': 'Gespielte Kader: {played} / {total}',
+    'results.hardestNationalities': 'Schwierigste Nationalitäten',
+    'blitz.presetGlobal': '{minutes} Min. Lauf',
+    'blitz.presetRoster': '{seconds} s x {rosters} Kader',
+    'blitz.introGlobal': 'Beantworte in {seconds} Sekunden so viele Teile wie möglich.',
+    'blitz.introRoster': '{rosters} Kader, je {seconds} Sekunden.',
+    'blitz.start': 'BLITZ STARTEN',
+    'blitz.timeLeft': 'RESTZEIT',
+    'blitz.rosterClock': 'KADER {current} / {total}',
+    'blitz.timesUp': 'Die Zeit ist um!',
+    'blitz.partsAnswered': 'Beantwortete Teile: {count}',
+    'blitz.playAgain': 'NOCHMAL SPIELEN',
+    'daily.intro': '{count} Kader, heute für alle gleich. Du hast einen Versuch.',
+    'daily.start': 'DAILY STARTEN',
+    'daily.title': 'Daily #{number}',
+    'daily.share': 'TEILEN',
+    'daily.copied': 'KOPIERT!',
+    'daily.shareTitle': 'LCS LEC Team Quiz – Daily #{number}',
+    'daily.sharePoints': '{score} Punkte',
+    'daily.sharePointsUnfinished': '{score} Punkte (nicht beendet)',
+    'daily.comeBack': 'Morgen gibt es ein neues Daily.',
+    'daily.unfinished': 'Daily nicht beendet. Morgen gibt es ein neues.',
+    'multiplayer.players': 'Spieler',
+    'multiplayer.defaultName': 'Spieler {number}',
+    'multiplayer.addPlayer': '+ Spieler hinzufügen',
+    'multiplayer.turns': 'Züge',
+    'multiplayer.perRoster': 'Pro Kader',
+    'multiplayer.perPart': 'Pro Teil',
+    'multiplayer.rounds': 'Runden',
+    'multiplayer.start': 'MATCH STARTEN',
+    'multiplayer.newMatch': 'NEUES MATCH',
+    'multiplayer.round': 'RUNDE {round} / {rounds}',
+    'multiplayer.tie': 'Unentschieden: {names}',
+    'multiplayer.wins': '{name} gewinnt!',
+    'challenge.label': 'Challenge',
+    'challenge.copy': 'Challenge-Link kopieren',
+    'challenge.leave': 'Challenge verlassen',
+    'challenge.builtinOnly': 'Challenge-Links funktionieren nur mit den eingebauten Kadern.',
+    'challenge.started': 'Neue Challenge gestartet, Link kopiert!',
+    'challenge.copied': 'Link kopiert!',
+    'challenge.copyByHand': 'Kopiere diesen Link und schick ihn deinen Freunden:',
+    'packs.show': 'Eigene Pakete',
+    'packs.hide': 'Eigene Pakete ausblenden',
+    'packs.rosterCount': '{name} ({count} Kader)',
+    'packs.play': 'Spielen',
+    'packs.edit': 'Bearbeiten',
+    'packs.export': 'Exportieren',
+    'packs.delete': 'Löschen',
+    'packs.namePlaceholder': 'Paketname',
+    'packs.defaultName': 'Paket {number}',
+    'packs.create': '+ Neues Paket',
+    'packs.import': 'Importieren',
+    'packs.imported': '„{name}“ mit {count} Kadern importiert',
+    'packs.updated': '„{name}“ mit {count} Kadern aktualisiert',
+    'packs.problems': '{message} ({count} Probleme)',
+    'packs.importFailed': '{file} konnte nicht importiert werden: {error}',
+    'packs.notPack': 'Das ist kein Quizpaket der Version {version}',
+    'packs.missingFields': 'Dem Quizpaket fehlen ID, Name, Spieler, Teams oder Kader',
+    'packs.malformed': 'Das Quizpaket enthält fehlerhafte Spieler, Teams oder Kader',
+    'packs.badEntries': 'Das Quizpaket enthält Spieler ohne IGN oder Nationalität oder Teams ohne Namen oder Kürzel',
+    'packs.otherPack': 'Das Quizpaket enthält Kader aus einem anderen Paket',
+    'packEditor.name': 'Name',
+    'packEditor.rosters': 'Kader',
+    'packEditor.noRosters': 'Noch keine Kader.',
+    'packEditor.addRoster': '+ Kader hinzufügen',
+    'packEditor.newPlayer': 'Neuer Spieler',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': 'Flagge',
+    'packEditor.addPlayer': '+ Spieler hinzufügen',
+    'packEditor.newTeam': 'Neues Team',
+    'packEditor.abbr': 'Kürzel',
+    'packEditor.addTeam': '+ Team hinzufügen',
+    'packEditor.done': 'Fertig',
+    'validation.noPlayers': 'Keine Spieler für die Position {position}',
+    'validation.noIgn': '{id} hat keinen IGN',
+    'validation.ignNotText': '{id} hat einen IGN, der kein Text ist',
+    'validation.wrongPosition': '{id} steht unter {position}, hat aber die Position {actual}',
+    'validation.noNationality': '{id} hat keine Nationalität',
+    'validation.noFlag': '{id} hat die Nationalität {nationality}, für die es keine Flagge gibt',
+    'validation.sharedAlias': '{id} teilt den IGN „{alias}“ mit {owner}',
+    'validation.teamNoName': 'Team {id} hat keinen Namen',
+    'validation.teamFields': 'Team {id} hat die ID {teamId}, das Kürzel {abbr} und die Region {region}',
+    'validation.sharedAbbr': 'Team {id} teilt das Kürzel {abbr} mit {owner} in {region}',
+    'validation.quizNoId': 'Der Kader hat keine ID',
+    'validation.unknownTeam': '{id} verweist auf ein Team, das nicht in teams.json steht',
+    'validation.teamRegion': '{id} ist in {region}, aber {abbr} ist in {teamRegion}',
+    'validation.unknownRegion': '{id} hat die unbekannte Region {region}',
+    'validation.unknownLeague': '{id} hat die unbekannte Liga {league}',
+    'validation.leagueRegion': '{id} ist in {region}, aber {league} ist in {leagueRegion}',
+    'validation.unknownSplit': '{id} hat den unbekannten Split {split}',
+    'validation.year': '{id} hat das Jahr {year} außerhalb von {from}-{to}',
+    'validation.unknownPlayer': '{id} verweist auf einen {position}-Spieler, der nicht in players.json steht',
+    'validation.placedPlayer': '{id} setzt {player} ({actual}) auf {position}',
+    'validation.duplicateQuiz': 'Doppelte Kader-ID {id}',
+    'validation.inPack': '{id} ist schon im Paket',
+    'validation.playerFields': 'Der Spieler braucht einen IGN und eine Flagge',
+    'validation.playerTaken': 'Es gibt schon einen {position}-Spieler namens {id}',
+    'validation.teamNeedsName': 'Das Team braucht einen Namen und ein Kürzel',
+    'career.count': '{found} von {total} Teams und Jahren gefunden',
+    'career.next': 'NÄCHSTER SPIELER',
+    'career.reveal': 'KARRIERE AUFDECKEN',
+    'career.emptyPool': 'Kein Spieler mit mehr als einem Team und Jahr passt zu diesem Filter.',
+    'career.complete': 'Du hast alle Spieler durch!',
+    'hint.league': 'Spielt in der {league}',
+    'hint.abbrLength': 'Das Kürzel hat {count} Zeichen',
+    'hint.otherYears': 'Auch {years} im Quiz',
+    'hint.teamInitial': 'Name beginnt mit „{letter}“',
+    'hint.yearRange': 'Zwischen {from} und {to}',
+    'hint.nationality': 'Nationalität: {nationality}',
+    'hint.playerInitial': 'Beginnt mit „{letter}“',
+    'hint.ignLength': 'Hat {count} Zeichen',
+    'hint.otherRosters': 'Spielte auch für {rosters}',
+    'announce.newRoster': 'Neuer Kader.',
+    'announce.question': '{part}?',
+    'announce.answer': '{part}: {answer}',
+    'announce.revealed': 'Aufgedeckt. {answers}.',
+    'announce.answered': 'Richtig. {answer}.',
+    'announce.skipped': 'Übersprungen. {answer}.',
+    'announce.missed': 'Falsch. {answer}.',
+    'announce.rosterComplete': 'Kader fertig.',
+    'announce.correct': 'Richtig.',
+    'announce.close': 'Knapp daneben.',
+    'announce.incorrect': 'Falsch.',
+    'announce.newPlayer': 'Neuer Spieler: {player}. Team und Jahr?',
+    'announce.careerComplete': 'Karriere vollständig.',
+  },
+  fr: {
+    'title.inspiredBy': 'Inspiré de {video}',
+    'title.loadFailed': 'Impossible de charger les données des effectifs. Rechargez la page.',
+    'rules.title': 'Règles',
+    'rules.teams': 'Équipes de NALCS, LCS, EULCS et LEC, hors académies, plus une sélection d’effectifs de LCK, LPL, ERL et des Worlds.',
+    'rules.years': 'Du spring 2013 au summer 2021. Les effectifs des Worlds ont « worlds » comme split.',
+    'rules.official': 'Effectifs ayant joué au moins un match officiel.',
+    'rules.igns': 'Pour les joueurs ayant changé de pseudo en compétition, tous leurs pseudos sont acceptés.',
+    'rules.source': 'Données issues de {source}.',
+    'rules.sharedFlags': 'Si plusieurs effectifs ont les mêmes drapeaux, n’importe lequel est accepté.',
+    'rules.shortcuts': 'Appuyez sur ? pour les raccourcis clavier.',
+    'rules.choices': 'En choix multiple, touchez une réponse ou utilisez les touches 1 à 4. Un mauvais choix révèle la réponse.',
+    'rules.reverse': 'En mode inversé, tout effectif de l’équipe cette année-là est accepté. Un mauvais drapeau révèle le joueur.',
+    'rules.career': 'En mode carrière, répondez avec une équipe et une année, par ex. « TSM 2015 ».',
+    'rules.review': 'Les effectifs ratés reviennent en révision jusqu’à ce que vous les trouviez plusieurs fois de suite, les plus souvent ratés en premier.',
+    'part.team': 'Équipe',
+    'part.year': 'Année',
+    'part.split': 'Split',
+    'split.spring': 'Spring',
+    'split.summer': 'Summer',
+    'split.worlds': 'Worlds',
+    'part.career': 'Équipe et année',
+    'position.top': 'Top',
+    'position.jg': 'Jungle',
+    'position.mid': 'Mid',
+    'position.bot': 'Bot',
+    'position.spt': 'Support',
+    'input.close': 'Presque !',
+    'skip.quiz': 'QUIZ SUIVANT',
+    'skip.part': 'PASSER',
+    'score.score': 'SCORE',
+    'score.streak': 'SÉRIE',
+    'score.roster': 'EFFECTIF',
+    'score.remaining': 'RESTANTS',
+    'hints.button': 'INDICE (-{cost})',
+    'quiz.results': 'RÉSULTATS',
+    'quiz.hideResults': 'MASQUER LES RÉSULTATS',
+    'quiz.resetProgress': 'RÉINITIALISER LA PROGRESSION',
+    'quiz.emptyPool': 'Aucun effectif ne correspond à ce filtre.',
+    'quiz.review': 'RÉVISION',
+    'quiz.hideReview': 'MASQUER LA RÉVISION',
+    'runComplete.title': 'Vous avez vu tous les effectifs !',
+    'runComplete.reshuffle': 'MÉLANGER',
+    'runComplete.replayMissed': 'REJOUER LES RATÉS ({count})',
+    'runComplete.newFilter': 'Ou continuez avec un nouveau filtre dans les réglages ci-dessus.',
+    'review.title': 'Révision',
+    'review.start': 'RÉVISER LES RATÉS ({count})',
+    'review.nothingDue': 'Aucun effectif raté à réviser pour l’instant.',
+    'review.empty': 'Aucun effectif joué pendant cette session.',
+    'review.answered': 'Trouvé',
+    'review.skipped': 'Passé',
+    'review.revealed': 'Révélé',
+    'review.hinted': 'Avec indice',
+    'shortcuts.button': '? Raccourcis',
+    'shortcuts.title': 'Raccourcis clavier',
+    'shortcuts.or': ' ou ',
+    'shortcuts.close': 'Fermer',
+    'shortcuts.skipPart': 'Passer la partie',
+    'shortcuts.nextQuiz': 'Quiz suivant',
+    'shortcuts.hint': 'Prendre un indice (Alt + H pendant la saisie)',
+    'shortcuts.choice': 'Choisir une réponse en choix multiple',
+    'shortcuts.help': 'Afficher ou masquer les raccourcis',
+    'settings.language': 'Langue',
+    'settings.mode': 'Mode',
+    'settings.rosters': 'Effectifs',
+    'settings.builtin': 'Intégrés',
+    'settings.answerWith': 'Répondre avec',
+    'settings.show': 'Afficher',
+    'settings.clock': 'Chrono',
+    'settings.league': 'Ligue',
+    'settings.allLeagues': 'Toutes',
+    'settings.from': 'De',
+    'settings.to': 'À',
+    'settings.typos': 'Fautes de frappe',
+    'settings.askSplit': 'Demander le split',
+    'settings.multipleChoice': 'Choix multiple',
+    'mode.classic': 'Classique',
+    'mode.blitz': 'Blitz',
+    'mode.multiplayer': 'Chacun son tour',
+    'mode.daily': 'Quotidien',
+    'mode.reverse': 'Inversé',
+    'mode.career': 'Carrière',
+    'reverseInput.names': 'Noms',
+    'reverseInput.flags': 'Drapeaux',
+    'careerClue.name': 'Nom',
+    'careerClue.flag': 'Drapeau et poste',
+    'preset.all': 'Toutes les années',
+    'preset.oldSchool': 'Old school',
+    'preset.modern': 'Moderne',
+    'typos.strict': 'Strict',
+    'typos.lenient': 'Tolérant',
+    'typos.loose': 'Souple',
+    'results.title': 'Résultats',
+    'results.score': 'Score : {score}',
+    'results.rosters': 'Effectifs : {rosters} ({perfect} parfaits)',
+    'results.accuracy': 'Précision : {accuracy} %',
+    'results.bestStreak': 'Meilleure série : {streak}',
+    'results.outcomes': 'Trouvés {answered} / Passés {skipped} / Révélés {revealed}',
+    'results.hinted': 'Parties avec indice : {hinted}',
+    'results.roster': 'Effectif',
+    'results.points': 'Points',
+    'results.lifetime': 'Global',
+    'results.rostersPlayed': 'Effectifs joués : {played} / {total}',
+    'results.hardestNationalities': 'Nationalités les plus difficiles',
+    'blitz.presetGlobal': 'Partie de {minutes} min',
+    'blitz.presetRoster': '{seconds} s x {rosters} effectifs',
+    'blitz.introGlobal': 'Répondez à un maximum de parties en {seconds} secondes.',
+    'blitz.introRoster': '{rosters} effectifs, {seconds} secondes chacun.',
+    'blitz.start': 'LANCER LE BLITZ',
+    'blitz.timeLeft': 'TEMPS RESTANT',
+    'blitz.rosterClock': 'EFFECTIF {current} / {total}',
+    'blitz.timesUp': 'Temps écoulé !',
+    'blitz.partsAnswered': 'Parties trouvées : {count}',
+    'blitz.playAgain': 'REJOUER',
+    'daily.intro': '{count} effectifs, les mêmes pour tout le monde aujourd’hui. Un seul essai.',
+    'daily.start': 'LANCER LE DÉFI DU JOUR',
+    'daily.title': 'Défi du jour n° {number}',
+    'daily.share': 'PARTAGER',
+    'daily.copied': 'COPIÉ !',
+    'daily.shareTitle': 'LCS LEC Team Quiz – Daily #{number}',
+    'daily.sharePoints': '{score} points',
+    'daily.sharePointsUnfinished': '{score} points (inachevé)',
+    'daily.comeBack': 'Revenez demain pour un nouveau défi.',
+    'daily.unfinished': 'Défi du jour inachevé. Revenez demain pour un nouveau.',
+    'multiplayer.players': 'Joueurs',
+    'multiplayer.defaultName': 'Joueur {number}',
+    'multiplayer.addPlayer': '+ Ajouter un joueur',
+    'multiplayer.turns': 'Tours',
+    'multiplayer.perRoster': 'Par effectif',
+    'multiplayer.perPart': 'Par partie',
+    'multiplayer.rounds': 'Manches',
+    'multiplayer.start': 'LANCER LE MATCH',
+    'multiplayer.newMatch': 'NOUVEAU MATCH',
+    'multiplayer.round': 'MANCHE {round} / {rounds}',
+    'multiplayer.tie': 'Égalité : {names}',
+    'multiplayer.wins': '{name} gagne !',
+    'challenge.label': 'Défi',
+    'challenge.copy': 'Copier le lien du défi',
+    'challenge.leave': 'Quitter le défi',
+    'challenge.builtinOnly': 'Les liens de défi ne fonctionnent qu’avec les effectifs intégrés.',
+    'challenge.started': 'Nouveau défi lancé, lien copié !',
+    'challenge.copied': 'Lien copié !',
+    'challenge.copyByHand': 'Copiez ce lien et envoyez-le à vos amis :',
+    'packs.show': 'Packs personnalisés',
+    'packs.hide': 'Masquer les packs personnalisés',
+    'packs.rosterCount': '{name} ({count} effectifs)',
+    'packs.play': 'Jouer',
+    'packs.edit': 'Modifier',
+    'packs.export': 'Exporter',
+    'packs.delete': 'Supprimer',
+    'packs.namePlaceholder': 'Nom du pack',
+    'packs.defaultName': 'Pack {number}',
+    'packs.create': '+ Nouveau pack',
+    'packs.import': 'Importer',
+    'packs.imported': '« {name} » importé avec {count} effectifs',
+    'packs.updated': '« {name} » mis à jour avec {count} effectifs',
+    'packs.problems': '{message} ({count} problèmes)',
+    'packs.importFailed': 'Impossible d’importer {file} : {error}',
+    'packs.notPack': 'Ce n’est pas un pack de quiz en version {version}',
+    'packs.missingFields': 'Il manque au pack l’identifiant, le nom, les joueurs, les équipes ou les effectifs',
+    'packs.malformed': 'Le pack contient des joueurs, équipes ou effectifs mal formés',
+    'packs.badEntries': 'Le pack contient des joueurs sans IGN ni nationalité, ou des équipes sans nom ni abréviation',
+    'packs.otherPack': 'Le pack contient des effectifs d’un autre pack',
+    'packEditor.name': 'Nom',
+    'packEditor.rosters': 'Effectifs',
+    'packEditor.noRosters': 'Aucun effectif pour l’instant.',
+    'packEditor.addRoster': '+ Ajouter un effectif',
+    'packEditor.newPlayer': 'Nouveau joueur',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': 'Drapeau',
+    'packEditor.addPlayer': '+ Ajouter un joueur',
+    'packEditor.newTeam': 'Nouvelle équipe',
+    'packEditor.abbr': 'Abrév.',
+    'packEditor.addTeam': '+ Ajouter une équipe',
+    'packEditor.done': 'Terminé',
+    'validation.noPlayers': 'Aucun joueur pour le poste {position}',
+    'validation.noIgn': '{id} n’a pas d’IGN',
+    'validation.ignNotText': '{id} a un IGN qui n’est pas du texte',
+    'validation.wrongPosition': '{id} est listé en {position} mais joue au poste {actual}',
+    'validation.noNationality': '{id} n’a pas de nationalité',
+    'validation.noFlag': '{id} a la nationalité {nationality}, sans drapeau disponible',
+    'validation.sharedAlias': '{id} partage l’IGN « {alias} » avec {owner}',
+    'validation.teamNoName': 'L’équipe {id} n’a pas de nom',
+    'validation.teamFields': 'L’équipe {id} a l’identifiant {teamId}, l’abréviation {abbr} et la région {region}',
+    'validation.sharedAbbr': 'L’équipe {id} partage l’abréviation {abbr} avec {owner} en {region}',
+    'validation.quizNoId': 'L’effectif n’a pas d’identifiant',
+    'validation.unknownTeam': '{id} fait référence à une équipe absente de teams.json',
+    'validation.teamRegion': '{id} est en {region} mais {abbr} est en {teamRegion}',
+    'validation.unknownRegion': '{id} a une région inconnue : {region}',
+    'validation.unknownLeague': '{id} a une ligue inconnue : {league}',
+    'validation.leagueRegion': '{id} est en {region} mais {league} est en {leagueRegion}',
+    'validation.unknownSplit': '{id} a un split inconnu : {split}',
+    'validation.year': '{id} a l’année {year}, hors de {from}-{to}',
+    'validation.unknownPlayer': '{id} fait référence à un joueur {position} absent de players.json',
+    'validation.placedPlayer': '{id} place {player} ({actual}) au poste {position}',
+    'validation.duplicateQuiz': 'Identifiant d’effectif en double : {id}',
+    'validation.inPack': '{id} est déjà dans le pack',
+    'validation.playerFields': 'Le joueur doit avoir un IGN et un drapeau',
+    'validation.playerTaken': 'Il y a déjà un joueur {position} nommé {id}',
+    'validation.teamNeedsName': 'L’équipe doit avoir un nom et une abréviation',
+    'career.count': '{found} équipes et années trouvées sur {total}',
+    'career.next': 'JOUEUR SUIVANT',
+    'career.reveal': 'RÉVÉLER LA CARRIÈRE',
+    'career.emptyPool': 'Aucun joueur ayant plus d’une équipe et année ne correspond à ce filtre.',
+    'career.complete': 'Vous avez vu tous les joueurs !',
+    'hint.league': 'Joue en {league}',
+    'hint.abbrLength': 'L’abréviation compte {count} caractères',
+    'hint.otherYears': 'Aussi au quiz en {years}',
+    'hint.teamInitial': 'Le nom commence par « {letter} »',
+    'hint.yearRange': 'Entre {from} et {to}',
+    'hint.nationality': 'Nationalité : {nationality}',
+    'hint.playerInitial': 'Commence par « {letter} »',
+    'hint.ignLength': 'Compte {count} caractères',
+    'hint.otherRosters': 'A aussi joué pour {rosters}',
+    'announce.newRoster': 'Nouvel effectif.',
+    'announce.question': '{part} ?',
+    'announce.answer': '{part} : {answer}',
+    'announce.revealed': 'Révélé. {answers}.',
+    'announce.answered': 'Correct. {answer}.',
+    'announce.skipped': 'Passé. {answer}.',
+    'announce.missed': 'Incorrect. {answer}.',
+    'announce.rosterComplete': 'Effectif terminé.',
+    'announce.correct': 'Correct.',
+    'announce.close': 'Presque.',
+    'announce.incorrect': 'Incorrect.',
+    'announce.newPlayer': 'Nouveau joueur : {player}. Équipe et année ?',
+    'announce.careerComplete': 'Carrière complète.',
+  },
+  es: {
+    'title.inspiredBy': 'Inspirado en {video}',
+    'title.loadFailed': 'No se pudieron cargar los datos de las plantillas. Recarga la página.',
+    'rules.title': 'Reglas',
+    'rules.teams': 'Equipos de NALCS, LCS, EULCS y LEC, sin academias, más una selección de plantillas de LCK, LPL, ERL y Worlds.',
+    'rules.years': 'Desde el spring de 2013 hasta el summer de 2021. Las plantillas de Worlds usan "worlds" como split.',
+    'rules.official': 'Plantillas que jugaron al menos una partida oficial.',
+    'rules.igns': 'Para jugadores que cambiaron su nick competitivo, se aceptan todos sus nicks.',
+    'rules.source': 'Datos basados en {source}.',
+    'rules.sharedFlags': 'Si varias plantillas comparten las mismas banderas, se acepta cualquiera.',
+    'rules.shortcuts': 'Pulsa ? para ver los atajos de teclado.',
+    'rules.choices': 'En opción múltiple, elige tocando o con las teclas 1-4. Una respuesta incorrecta revela la solución.',
+    'rules.reverse': 'En modo inverso se acepta cualquier plantilla del equipo ese año. Una bandera equivocada revela al jugador.',
+    'rules.career': 'En modo carrera, responde con un equipo y un año, p. ej. "TSM 2015".',
+    'rules.review': 'Las plantillas falladas vuelven en el repaso hasta que las aciertes varias veces seguidas, primero las que más fallas.',
+    'part.team': 'Equipo',
+    'part.year': 'Año',
+    'part.split': 'Split',
+    'split.spring': 'Spring',
+    'split.summer': 'Summer',
+    'split.worlds': 'Worlds',
+    'part.career': 'Equipo y año',
+    'position.top': 'Top',
+    'position.jg': 'Jungla',
+    'position.mid': 'Mid',
+    'position.bot': 'Bot',
+    'position.spt': 'Support',
+    'input.close': '¡Casi!',
+    'skip.quiz': 'SIGUIENTE',
+    'skip.part': 'SALTAR',
+    'score.score': 'PUNTOS',
+    'score.streak': 'RACHA',
+    'score.roster': 'PLANTILLA',
+    'score.remaining': 'RESTANTES',
+    'hints.button': 'PISTA (-{cost})',
+    'quiz.results': 'RESULTADOS',
+    'quiz.hideResults': 'OCULTAR RESULTADOS',
+    'quiz.resetProgress': 'REINICIAR PROGRESO',
+    'quiz.emptyPool': 'Ninguna plantilla coincide con este filtro.',
+    'quiz.review': 'REPASO',
+    'quiz.hideReview': 'OCULTAR REPASO',
+    'runComplete.title': '¡Has visto todas las plantillas!',
+    'runComplete.reshuffle': 'MEZCLAR',
+    'runComplete.replayMissed': 'REPETIR FALLADAS ({count})',
+    'runComplete.newFilter': 'O sigue con un filtro nuevo en los ajustes de arriba.',
+    'review.title': 'Repaso',
+    'review.start': 'REPASAR FALLADAS ({count})',
+    'review.nothingDue': 'No hay plantillas falladas pendientes de repaso.',
+    'review.empty': 'Aún no has jugado ninguna plantilla en esta sesión.',
+    'review.answered': 'Acertada',
+    'review.skipped': 'Saltada',
+    'review.revealed': 'Revelada',
+    'review.hinted': 'Con pista',
+    'shortcuts.button': '? Atajos',
+    'shortcuts.title': 'Atajos de teclado',
+    'shortcuts.or': ' o ',
+    'shortcuts.close': 'Cerrar',
+    'shortcuts.skipPart': 'Saltar parte',
+    'shortcuts.nextQuiz': 'Siguiente quiz',
+    'shortcuts.hint': 'Pedir una pista (Alt + H mientras escribes)',
+    'shortcuts.choice': 'Elegir una opción en opción múltiple',
+    'shortcuts.help': 'Mostrar u ocultar atajos',
+    'settings.language': 'Idioma',
+    'settings.mode': 'Modo',
+    'settings.rosters': 'Plantillas',
+    'settings.builtin': 'Integradas',
+    'settings.answerWith': 'Responder con',
+    'settings.show': 'Mostrar',
+    'settings.clock': 'Reloj',
+    'settings.league': 'Liga',
+    'settings.allLeagues': 'Todas',
+    'settings.from': 'Desde',
+    'settings.to': 'Hasta',
+    'settings.typos': 'Erratas',
+    'settings.askSplit': 'Preguntar split',
+    'settings.multipleChoice': 'Opción múltiple',
+    'mode.classic': 'Clásico',
+    'mode.blitz': 'Blitz',
+    'mode.multiplayer': 'Por turnos',
+    'mode.daily': 'Diario',
+    'mode.reverse': 'Inverso',
+    'mode.career': 'Carrera',
+    'reverseInput.names': 'Nombres',
+    'reverseInput.flags': 'Banderas',
+    'careerClue.name': 'Nombre',
+    'careerClue.flag': 'Bandera y posición',
+    'preset.all': 'Todos los años',
+    'preset.oldSchool': 'Old school',
+    'preset.modern': 'Moderno',
+    'typos.strict': 'Estricto',
+    'typos.lenient': 'Flexible',
+    'typos.loose': 'Muy flexible',
+    'results.title': 'Resultados',
+    'results.score': 'Puntos: {score}',
+    'results.rosters': 'Plantillas: {rosters} ({perfect} perfectas)',
+    'results.accuracy': 'Precisión: {accuracy} %',
+    'results.bestStreak': 'Mejor racha: {streak}',
+    'results.outcomes': 'Acertadas {answered} / Saltadas {skipped} / Reveladas {revealed}',
+    'results.hinted': 'Partes con pista: {hinted}',
+    'results.roster': 'Plantilla',
+    'results.points': 'Puntos',
+    'results.lifetime': 'Total',
+    'results.rostersPlayed': 'Plantillas jugadas: {played} / {total}',
+    'results.hardestNationalities': 'Nacionalidades más difíciles',
+    'blitz.presetGlobal': 'Partida de {minutes} min',
+    'blitz.presetRoster': '{seconds} s x {rosters} plantillas',
+    'blitz.introGlobal': 'Responde todas las partes que puedas en {seconds} segundos.',
+    'blitz.introRoster': '{rosters} plantillas, {seconds} segundos cada una.',
+    'blitz.start': 'EMPEZAR BLITZ',
+    'blitz.timeLeft': 'TIEMPO RESTANTE',
+    'blitz.rosterClock': 'PLANTILLA {current} / {total}',
+    'blitz.timesUp': '¡Se acabó el tiempo!',
+    'blitz.partsAnswered': 'Partes acertadas: {count}',
+    'blitz.playAgain': 'JUGAR DE NUEVO',
+    'daily.intro': '{count} plantillas, las mismas para todos hoy. Tienes un intento.',
+    'daily.start': 'EMPEZAR RETO DIARIO',
+    'daily.title': 'Reto diario n.º {number}',
+    'daily.share': 'COMPARTIR',
+    'daily.copied': '¡COPIADO!',
+    'daily.shareTitle': 'LCS LEC Team Quiz – Daily #{number}',
+    'daily.sharePoints': '{score} puntos',
+    'daily.sharePointsUnfinished': '{score} puntos (sin terminar)',
+    'daily.comeBack': 'Vuelve mañana para un nuevo reto diario.',
+    'daily.unfinished': 'Reto diario sin terminar. Vuelve mañana para uno nuevo.',
+    'multiplayer.players': 'Jugadores',
+    'multiplayer.defaultName': 'Jugador {number}',
+    'multiplayer.addPlayer': '+ Añadir jugador',
+    'multiplayer.turns': 'Turnos',
+    'multiplayer.perRoster': 'Por plantilla',
+    'multiplayer.perPart': 'Por parte',
+    'multiplayer.rounds': 'Rondas',
+    'multiplayer.start': 'EMPEZAR PARTIDA',
+    'multiplayer.newMatch': 'NUEVA PARTIDA',
+    'multiplayer.round': 'RONDA {round} / {rounds}',
+    'multiplayer.tie': 'Empate: {names}',
+    'multiplayer.wins': '¡Gana {name}!',
+    'challenge.label': 'Reto',
+    'challenge.copy': 'Copiar enlace del reto',
+    'challenge.leave': 'Salir del reto',
+    'challenge.builtinOnly': 'Los enlaces de reto solo funcionan con las plantillas incluidas.',
+    'challenge.started': '¡Nuevo reto empezado, enlace copiado!',
+    'challenge.copied': '¡Enlace copiado!',
+    'challenge.copyByHand': 'Copia este enlace y envíaselo a tus amigos:',
+    'packs.show': 'Packs personalizados',
+    'packs.hide': 'Ocultar packs personalizados',
+    'packs.rosterCount': '{name} ({count} plantillas)',
+    'packs.play': 'Jugar',
+    'packs.edit': 'Editar',
+    'packs.export': 'Exportar',
+    'packs.delete': 'Borrar',
+    'packs.namePlaceholder': 'Nombre del pack',
+    'packs.defaultName': 'Pack {number}',
+    'packs.create': '+ Nuevo pack',
+    'packs.import': 'Importar',
+    'packs.imported': 'Importado «{name}» con {count} plantillas',
+    'packs.updated': 'Actualizado «{name}» con {count} plantillas',
+    'packs.problems': '{message} ({count} problemas)',
+    'packs.importFailed': 'No se pudo importar {file}: {error}',
+    'packs.notPack': 'No es un paquete de quiz de la versión {version}',
+    'packs.missingFields': 'Al paquete le falta el id, el nombre, los jugadores, los equipos o las plantillas',
+    'packs.malformed': 'El paquete tiene jugadores, equipos o plantillas con un formato incorrecto',
+    'packs.badEntries': 'El paquete tiene jugadores sin IGN o nacionalidad, o equipos sin nombre o abreviatura',
+    'packs.otherPack': 'El paquete tiene plantillas de otro paquete',
+    'packEditor.name': 'Nombre',
+    'packEditor.rosters': 'Plantillas',
+    'packEditor.noRosters': 'Aún no hay plantillas.',
+    'packEditor.addRoster': '+ Añadir plantilla',
+    'packEditor.newPlayer': 'Nuevo jugador',
+    'packEditor.ign': 'IGN',
+    'packEditor.flag': 'Bandera',
+    'packEditor.addPlayer': '+ Añadir jugador',
+    'packEditor.newTeam': 'Nuevo equipo',
+    'packEditor.abbr': 'Abrev.',
+    'packEditor.addTeam': '+ Añadir equipo',
+    'packEditor.done': 'Listo',
+    'validation.noPlayers': 'No hay jugadores para la posición {position}',
+    'validation.noIgn': '{id} no tiene IGN',
+    'validation.ignNotText': '{id} tiene un IGN que no es texto',
+    'validation.wrongPosition': '{id} está en {position} pero su posición es {actual}',
+    'validation.noNationality': '{id} no tiene nacionalidad',
+    'validation.noFlag': '{id} tiene la nacionalidad {nationality}, que no tiene bandera',
+    'validation.sharedAlias': '{id} comparte el IGN "{alias}" con {owner}',
+    'validation.teamNoName': 'El equipo {id} no tiene nombre',
+    'validation.teamFields': 'El equipo {id} tiene el id {teamId}, la abreviatura {abbr} y la región {region}',
+    'validation.sharedAbbr': 'El equipo {id} comparte la abreviatura {abbr} con {owner} en {region}',
+    'validation.quizNoId': 'La plantilla no tiene id',
+    'validation.unknownTeam': '{id} hace referencia a un equipo que no está en teams.json',
+    'validation.teamRegion': '{id} está en {region} pero {abbr} está en {teamRegion}',
+    'validation.unknownRegion': '{id} tiene una región desconocida: {region}',
+    'validation.unknownLeague': '{id} tiene una liga desconocida: {league}',
+    'validation.leagueRegion': '{id} está en {region} pero {league} está en {leagueRegion}',
+    'validation.unknownSplit': '{id} tiene un split desconocido: {split}',
+    'validation.year': '{id} tiene el año {year}, fuera de {from}-{to}',
+    'validation.unknownPlayer': '{id} hace referencia a un jugador {position} que no está en players.json',
+    'validation.placedPlayer': '{id} pone a {player} ({actual}) en {position}',
+    'validation.duplicateQuiz': 'Id de plantilla duplicado: {id}',
+    'validation.inPack': '{id} ya está en el paquete',
+    'validation.playerFields': 'El jugador necesita un IGN y una bandera',
+    'validation.playerTaken': 'Ya hay un jugador {position} llamado {id}',
+    'validation.teamNeedsName': 'El equipo necesita un nombre y una abreviatura',
+    'career.count': '{found} de {total} equipos y años encontrados',
+    'career.next': 'SIGUIENTE JUGADOR',
+    'career.reveal': 'REVELAR CARRERA',
+    'career.emptyPool': 'Ningún jugador con más de un equipo y año coincide con este filtro.',
+    'career.complete': '¡Has visto todos los jugadores!',
+    'hint.league': 'Juega en la {league}',
+    'hint.abbrLength': 'La abreviatura tiene {count} caracteres',
+    'hint.otherYears': 'También en el quiz en {years}',
+    'hint.teamInitial': 'El nombre empieza por «{letter}»',
+    'hint.yearRange': 'Entre {from} y {to}',
+    'hint.nationality': 'Nacionalidad: {nationality}',
+    'hint.playerInitial': 'Empieza por «{letter}»',
+    'hint.ignLength': 'Tiene {count} caracteres',
+    'hint.otherRosters': 'También jugó en {rosters}',
+    'announce.newRoster': 'Nueva plantilla.',
+    'announce.question': '¿{part}?',
+    'announce.answer': '{part}: {answer}',
+    'announce.revealed': 'Revelada. {answers}.',
+    'announce.answered': 'Correcto. {answer}.',
+    'announce.skipped': 'Saltada. {answer}.',
+    'announce.missed': 'Incorrecto. {answer}.',
+    'announce.rosterComplete': 'Plantilla completa.',
+    'announce.correct': 'Correcto.',
+    'announce.close': '¡Casi!',
+    'announce.incorrect': 'Incorrecto.',
+    'announce.newPlayer': 'Nuevo jugador: {player}. ¿Equipo y año?',
+    'announce.careerComplete': 'Carrera completa.',
+  },
+};
@@ -0,0 +1,20 @@
+export const gameMode = {
+  classic: 'classic',
+  blitz: 'blitz',
+  multiplayer: 'multiplayer',
+  daily: 'daily',
+  reverse: 'reverse',
+  career: 'career',
+};
+
+// How players are named in reverse mode.
+export const reverseInput = {
+  names: 'names',
+  flags: 'flags',
+};
+
+// What career mode shows of the player whose teams are asked for.
+export const careerClue = {
+  name: 'name',
+  flag: 'flag',
+};
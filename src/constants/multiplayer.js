@@ -0,0 +1,9 @@
+export const minPlayers = 2;
+export const maxPlayers = 8;
+export const minRounds = 1;
+export const maxRounds = 20;
+
+export const turnType = {
+  roster: 'roster',
+  part: 'part',
+};
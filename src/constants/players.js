@@ -1,802 +0,0 @@
-export const players = {
-  TOP: {
-    Dyrus: {
-      ign: ["Dyrus"],
-      position: "TOP",
-      nationality: "US",
-    },
-    Hauntzer: {
-      ign: ["Hauntzer"],
-      position: "TOP",
-      nationality: "US",
-    },
-    BrokenBlade: {
-      ign: ["BrokenBlade"],
-      position: "TOP",
-      nationality: "DE",
-    },
-    Impact: {
-      ign: ["Impact"],
-      position: "TOP",
-      nationality: "KR",
-    },
-    Licorice: {
-      ign: ["Licorice"],
-      position: "TOP",
-      nationality: "CA",
-    },
-    Fudge: {
-      ign: ["Fudge"],
-      position: "TOP",
-      nationality: "AU",
-    },
-    Alphari: {
-      ign: ["Alphari"],
-      position: "TOP",
-      nationality: "GB",
-    },
-    sOAZ: {
-      ign: ["sOAZ"],
-      position: "TOP",
-      nationality: "FR",
-    },
-    Huni: {
-      ign: ["Huni"],
-      position: "TOP",
-      nationality: "KR",
-    },
-    Bwipo: {
-      ign: ["Bwipo"],
-      position: "TOP",
-      nationality: "BE",
-    },
-    Kikis: {
-      ign: ["Kikis"],
-      position: "TOP",
-      nationality: "PL",
-    },
-    Wunder: {
-      ign: ["Wunder"],
-      position: "TOP",
-      nationality: "DK",
-    },
-    Gamsu: {
-      ign: ["Gamsu"],
-      position: "TOP",
-      nationality: "KR",
-    },
-    RFLegendary: {
-      ign: ["RFLegendary", "RF"],
-      position: "TOP",
-      nationality: "UA",
-    },
-    Seraph: {
-      ign: ["Seraph"],
-      position: "TOP",
-      nationality: "KR",
-    },
-    SSumday: {
-      ign: ["SSumday"],
-      position: "TOP",
-      nationality: "KR",
-    },
-    Flame: {
-      ign: ["Flame"],
-      position: "TOP",
-      nationality: "KR",
-    },
-    Solo: {
-      ign: ["Solo"],
-      position: "TOP",
-      nationality: "US",
-    },
-    FakeGod: {
-      ign: ["FakeGod"],
-      position: "TOP",
-      nationality: "US",
-    },
-    Spontexx: {
-      ign: ["Spontexx"],
-      position: "TOP",
-      nationality: "FR",
-    },
-    Kev1n: {
-      ign: ["Kev1n", "Kevin"],
-      position: "TOP",
-      nationality: "DE",
-    },
-    fredy122: {
-      ign: ["fredy122", "fredy"],
-      position: "TOP",
-      nationality: "GB",
-    },
-    Cabochard: {
-      ign: ["Cabochard"],
-      position: "TOP",
-      nationality: "FR",
-    },
-    Darien: {
-      ign: ["Darien"],
-      position: "TOP",
-      nationality: "RU",
-    },
-    Mimer: {
-      ign: ["Mimer"],
-      position: "TOP",
-      nationality: "SE",
-    },
-    Odoamne: {
-      ign: ["Odoamne"],
-      position: "TOP",
-      nationality: "RO",
-    },
-    Vizicsasci: {
-      ign: ["Vizicsacsi"],
-      position: "TOP",
-      nationality: "HU",
-    },
-    Kerp: {
-      ign: ["Kerp"],
-      position: "TOP",
-      nationality: "DE",
-    },
-    Overpow: {
-      ign: ["Overpow"],
-      position: "TOP",
-      nationality: "PL",
-    },
-    Armut: {
-      ign: ["Armut"],
-      position: "TOP",
-      nationality: "TR",
-    },
-  },
-  JG: {
-    TheOddOne: {
-      ign: ["TheOddOne"],
-      position: "JG",
-      nationality: "CA",
-    },
-    Amazing: {
-      ign: ["Amazing"],
-      position: "JG",
-      nationality: "DE",
-    },
-    Svenskeren: {
-      ign: ["Svenskeren"],
-      position: "JG",
-      nationality: "DK",
-    },
-    Grig: {
-      ign: ["Grig"],
-      position: "JG",
-      nationality: "US",
-    },
-    Spica: {
-      ign: ["Spica"],
-      position: "JG",
-      nationality: "CN",
-    },
-    Xmithie: {
-      ign: ["Xmithie"],
-      position: "JG",
-      nationality: "PH",
-    },
-    Santorin: {
-      ign: ["Santorin"],
-      position: "JG",
-      nationality: "DK",
-    },
-    Blaber: {
-      ign: ["Blaber"],
-      position: "JG",
-      nationality: "US",
-    },
-    Cyanide: {
-      ign: ["Cyanide"],
-      position: "JG",
-      nationality: "FI",
-    },
-    Reignover: {
-      ign: ["Reignover"],
-      position: "JG",
-      nationality: "KR",
-    },
-    Broxah: {
-      ign: ["Broxah"],
-      position: "JG",
-      nationality: "DK",
-    },
-    Selfmade: {
-      ign: ["Selfmade"],
-      position: "JG",
-      nationality: "PL",
-    },
-    Jankos: {
-      ign: ["Jankos"],
-      position: "JG",
-      nationality: "PL",
-    },
-    Trick: {
-      ign: ["Trick"],
-      position: "JG",
-      nationality: "KR",
-    },
-    Crumbz: {
-      ign: ["Crumbz"],
-      position: "JG",
-      nationality: "VE",
-    },
-    Lira: {
-      ign: ["Lira"],
-      position: "JG",
-      nationality: "KR",
-    },
-    Closer: {
-      ign: ["Closer"],
-      position: "JG",
-      nationality: "TR",
-    },
-    Dexter: {
-      ign: ["Dexter"],
-      position: "JG",
-      nationality: "DE",
-    },
-    Josedeodo: {
-      ign: ["Josedeodo"],
-      position: "JG",
-      nationality: "AR",
-    },
-    Malunoo: {
-      ign: ["Malunoo"],
-      position: "JG",
-      nationality: "SE",
-    },
-    HyrqBot: {
-      ign: ["HyrqBot"],
-      position: "JG",
-      nationality: "FR",
-    },
-    Diamondprox: {
-      ign: ["Diamondprox"],
-      position: "JG",
-      nationality: "RU",
-    },
-    Impaler: {
-      ign: ["Impaler"],
-      position: "JG",
-      nationality: "GB",
-    },
-    Kikis: {
-      ign: ["Kikis"],
-      position: "JG",
-      nationality: "PL",
-    },
-    Araneae: {
-      ign: ["Araneae"],
-      position: "JG",
-      nationality: "ES",
-    },
-    Xerxe: {
-      ign: ["Xerxe"],
-      position: "JG",
-      nationality: "RO",
-    },
-    Maxlore: {
-      ign: ["Maxlore"],
-      position: "JG",
-      nationality: "GB",
-    },
-    Gilius: {
-      ign: ["Gilius"],
-      position: "JG",
-      nationality: "TR",
-    },
-    Inspired: {
-      ign: ["Inspired"],
-      position: "JG",
-      nationality: "PL",
-    },
-    Elyoya: {
-      ign: ["Elyoya"],
-      position: "JG",
-      nationality: "ES",
-    },
-  },
-  MID: {
-    Reginald: {
-      ign: ["Reginald"],
-      position: "MID",
-      nationality: "US",
-    },
-    Bjergsen: {
-      ign: ["Bjergsen"],
-      position: "MID",
-      nationality: "DK",
-    },
-    PowerOfEvil: {
-      ign: ["PowerOfEvil"],
-      position: "MID",
-      nationality: "DE",
-    },
-    Jensen: {
-      ign: ["Jensen"],
-      position: "MID",
-      nationality: "DK",
-    },
-    Perkz: {
-      ign: ["Perkz"],
-      position: "MID",
-      nationality: "HR",
-    },
-    XPeke: {
-      ign: ["XPeke"],
-      position: "MID",
-      nationality: "ES",
-    },
-    Febiven: {
-      ign: ["Febiven"],
-      position: "MID",
-      nationality: "NL",
-    },
-    Caps: {
-      ign: ["Caps"],
-      position: "MID",
-      nationality: "DK",
-    },
-    Nemesis: {
-      ign: ["Nemesis"],
-      position: "MID",
-      nationality: "SI",
-    },
-    Shiphtur: {
-      ign: ["Shiphtur"],
-      position: "MID",
-      nationality: "CA",
-    },
-    AlexIch: {
-      ign: ["AlexIch"],
-      position: "MID",
-      nationality: "RU"
-    },
-    Nisqy: {
-      ign: ["Nisqy"],
-      position: "MID",
-      nationality: "BE",
-    },
-    Ry0ma: {
-      ign: ["Ry0ma", "Ryoma"],
-      position: "MID",
-      nationality: "AU",
-    },
-    Eika: {
-      ign: ["Eika"],
-      position: "MID",
-      nationality: "FR",
-    },
-    Pobelter: {
-      ign: ["Pobelter"],
-      position: "MID",
-      nationality: "US",
-    },
-    Palafox: {
-      ign: ["Palafox"],
-      position: "MID",
-      nationality: "US",
-    },
-    Link: {
-      ign: ["Link"],
-      position: "MID",
-      nationality: "US", 
-    },
-    Ryu: {
-      ign: ["Ryu"],
-      position: "MID",
-      nationality: "KR",
-    },
-    Jiizuke: {
-      ign: ["Jiizuke"],
-      position: "MID",
-      nationality: "IT",
-    },
-    Shushei: {
-      ign: ["Shushei"],
-      position: "MID",
-      nationality: "PL",
-    },
-    Ocelote: {
-      ign: ["Ocelote"],
-      position: "MID",
-      nationality: "ES",
-    },
-    Fox: {
-      ign: ["Fox"],
-      position: "MID",
-      nationality: "SE",
-    },
-    NiQ: {
-      ign: ["NiQ"],
-      position: "MID",
-      nationality: "PL",
-    },
-    Selfie: {
-      ign: ["SELFIE"],
-      position: "MID",
-      nationality: "PL",
-    },
-    ForellenLord: {
-      ign: ["ForellenLord"],
-      position: "MID",
-      nationality: "DE",
-    },
-    Nukeduck: {
-      ign: ["Nukeduck"],
-      position: "MID",
-      nationality: "NO",
-    },
-    Abbedagge: {
-      ign: ["Abbedagge"],
-      position: "MID",
-      nationality: "DE",
-    },
-    Larssen: {
-      ign: ["Larssen"],
-      position: "MID",
-      nationality: "SE",
-    },
-    Humanoid: {
-      ign: ["Humanoid"],
-      position: "MID",
-      nationality: "CZ",
-    },
-  },
-  BOT: {
-    Chaox: {
-      ign: ["Chaox"],
-      position: "BOT",
-      nationality: "CN",
-    },
-    WildTurtle: {
-      ign: ["WildTurtle"],
-      position: "BOT",
-      nationality: "CA",
-    },
-    Doublelift: {
-      ign: ["Doublelift"],
-      position: "BOT",
-      nationality: "US",
-    },
-    Zven: {
-      ign: ["Zven", "Niels"],
-      position: "BOT",
-      nationality: "DK",
-    },
-    Lost: {
-      ign: ["Lost"],
-      position: "BOT",
-      nationality: "NZ",
-    },
-    Tactical: {
-      ign: ["Tactical"],
-      position: "BOT",
-      nationality: "US",
-    },
-    Sneaky: {
-      ign: ["Sneaky"],
-      position: "BOT",
-      nationality: "US",
-    },
-    YellOwStaR: {
-      ign: ["YellOwStaR"],
-      position: "BOT",
-      nationality: "FR",
-    },
-    Steelback: {
-      ign: ["Steelback"],
-      position: "BOT",
-      nationality: "FR",
-    },
-    Rekkles: {
-      ign: ["Rekkles"],
-      position: "BOT",
-      nationality: "SE",
-    },
-    Emperor: {
-      ign: ["Emperor"],
-      position: "BOT",
-      nationality: "KR",
-    },
-    Hjarnan: {
-      ign: ["Hjarnan"],
-      position: "BOT",
-      nationality: "SE",
-    },
-    Perkz: {
-      ign: ["Perkz"],
-      position: "BOT",
-      nationality: "HR",
-    },
-    CoreJJ: {
-      ign: ["CoreJJ"],
-      position: "BOT",
-      nationality: "KR",
-    },
-    Freeze: {
-      ign: ["Freeze"],
-      position: "BOT",
-      nationality: "CZ"
-    },
-    Apollo: {
-      ign: ["Apollo"],
-      position: "BOT",
-      nationality: "US",
-    },
-    FBI: {
-      ign: ["FBI"],
-      position: "BOT",
-      nationality: "AU",
-    },
-    CodySun: {
-      ign: ["CodySun"],
-      position: "BOT",
-      nationality: "CA",
-    },
-    Johnsun: {
-      ign: ["Johnsun"],
-      position: "BOT",
-      nationality: "CA",
-    },
-    Bang: {
-      ign: ["Bang"],
-      position: "BOT",
-      nationality: "KR",
-    },
-    Danny: {
-      ign: ["Danny"],
-      position: "BOT",
-      nationality: "US",
-    },
-    HosaN: {
-      ign: ["HosaN"],
-      position: "BOT",
-      nationality: "PL",
-    },
-    CandyPanda: {
-      ign: ["CandyPanda"],
-      position: "BOT",
-      nationality: "DE",
-    },
-    FORG1VEN: {
-      ign: ["FORG1VEN", "FORG1VENGRE", "FORGIVEN", "FORGIVENGRE"],
-      position: "BOT",
-      nationality: "GR",
-    },
-    P1noy: {
-      ign: ["P1noy", "Pinoy"],
-      position: "BOT",
-      nationality: "DK",
-    },
-    Genja: {
-      ign: ["Genja007", "Genja"],
-      position: "BOT",
-      nationality: "RU",
-    },
-    MrRalleZ: {
-      ign: ["MrRalleZ"],
-      position: "BOT",
-      nationality: "DK",
-    },
-    Vardags: {
-      ign: ["Vardags"],
-      position: "BOT",
-      nationality: "SE",
-    },
-    Creaton: {
-      ign: ["Creaton"],
-      position: "BOT",
-      nationality: "PL",
-    },
-    Upset: {
-      ign: ["Upset"],
-      position: "BOT",
-      nationality: "DE",
-    },
-    HansSama: {
-      ign: ["Hans Sama"],
-      position: "BOT",
-      nationality: "FR",
-    },
-    Neon: {
-      ign: ["Neon"],
-      position: "BOT",
-      nationality: "SK",
-    },
-    Woolite: {
-      ign: ["Woolite"],
-      position: "BOT",
-      nationality: "PL",
-    },
-    Carzzy: {
-      ign: ["Carzzy"],
-      position: "BOT",
-      nationality: "CZ",
-    },
-    Attila: {
-      ign: ["Attila"],
-      position: "BOT",
-      nationality: "PT",
-    },
-  },
-  SPT: {
-    Xpecial: {
-      ign: ["Xpecial"],
-      position: "SPT",
-      nationality: "CA",
-    },
-    Lustboy: {
-      ign: ["Lustboy"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    Biofrost: {
-      ign: ["Biofrost"],
-      position: "SPT",
-      nationality: "CA",
-    },
-    Mithy: {
-      ign: ["Mithy"],
-      position: "SPT",
-      nationality: "ES",
-    },
-    Treatz: {
-      ign: ["Treatz"],
-      position: "SPT",
-      nationality: "SE",
-    },
-    SwordArt: {
-      ign: ["SwordArt"],
-      position: "SPT",
-      nationality: "TW",
-    },
-    CoreJJ: {
-      ign: ["CoreJJ"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    Zeyzal: {
-      ign: ["Zeyzal"],
-      position: "SPT",
-      nationality: "US",
-    },
-    Vulcan: {
-      ign: ["Vulcan"],
-      position: "SPT",
-      nationality: "CA",
-    },
-    NRated: {
-      ign: ["nRated"],
-      position: "SPT",
-      nationality: "DE",
-    },
-    YellOwStaR: {
-      ign: ["YellOwStaR"],
-      position: "SPT",
-      nationality: "FR",
-    },
-    Hylissang: {
-      ign: ["Hylissang"],
-      position: "SPT",
-      nationality: "BG",
-    },
-    Hybrid: {
-      ign: ["Hybrid"],
-      position: "SPT",
-      nationality: "NL",
-    },
-    Wadid: {
-      ign: ["Wadid"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    Mikyx: {
-      ign: ["Mikyx"],
-      position: "SPT",
-      nationality: "SI",
-    },
-    KiWiKiD: {
-      ign: ["KiWiKiD"],
-      position: "SPT",
-      nationality: "US",
-    },
-    Remilia: {
-      ign: ["Remilia", "Remi"],
-      position: "SPT",
-      nationality: "US",
-    },
-    Hakuho: {
-      ign: ["Hakuho"],
-      position: "SPT",
-      nationality: "US",
-    },
-    Huhi: {
-      ign: ["Huhi"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    Olleh: {
-      ign: ["Olleh"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    aphromoo: {
-      ign: ["aphromoo"],
-      position: "SPT",
-      nationality: "US",
-    },
-    Dreams: {
-      ign: ["Dreams"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    IgNar: {
-      ign: ["IgNar"],
-      position: "SPT",
-      nationality: "KR",
-    },
-    Muvert: {
-      ign: ["Muvert"],
-      position: "SPT",
-      nationality: "SE",
-    },
-    Nyph: {
-      ign: ["Nyph"],
-      position: "SPT",
-      nationality: "DE",
-    },
-    Edward: {
-      ign: ["Edward"],
-      position: "SPT",
-      nationality: "AM",
-    },
-    Voidle: {
-      ign: ["Voidle"],
-      position: "SPT",
-      nationality: "EE",
-    },
-    kaSing: {
-      ign: ["kaSing"],
-      position: "SPT",
-      nationality: "GB",
-    },
-    Vander: {
-      ign: ["Vander"],
-      position: "SPT",
-      nationality: "PL",
-    },
-    Jree: {
-      ign: ["Jree"],
-      position: "SPT",
-      nationality: "SE",
-    },
-    Destiny: {
-      ign: ["Destiny"],
-      position: "SPT",
-      nationality: "AU",
-    },
-    Trymbi: {
-      ign: ["Trymbi"],
-      position: "SPT",
-      nationality: "PL",
-    },
-    Kaiser: {
-      ign: ["Kaiser"],
-      position: "SPT",
-      nationality: "DE",
-    },
-    Jactroll: {
-      ign: ["Jactroll"],
-      position: "SPT",
-      nationality: "PL",
-    },
-  },
-};
@@ -0,0 +1,5 @@
+// Days until a missed roster comes back after each clean answer in a row. One
+// more clean answer after the last interval takes it out of the review queue.
+export const reviewIntervals = [1, 3, 7];
+
+export const dayMs = 24 * 60 * 60 * 1000;
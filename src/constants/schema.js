@@ -0,0 +1,18 @@
+export const positions = ['TOP', 'JG', 'MID', 'BOT', 'SPT'];
+
+export const regions = ['NA', 'EU', 'KR', 'CN'];
+
+export const splits = ['spring', 'summer', 'worlds'];
+
+export const yearRange = {
+  from: 2013,
+  to: 2021,
+};
+
+// Bump when the layout of the JSON files in public/data changes.
+export const dataVersion = 1;
+
+export const dataFiles = ['players', 'teams', 'quizzes'];
+
+// Bump when the layout of exported quiz packs changes.
+export const packVersion = 1;
@@ -0,0 +1,35 @@
+export const partPoints = {
+  team: 2,
+  year: 2,
+  split: 1,
+  top: 1,
+  jungle: 1,
+  mid: 1,
+  bot: 1,
+  support: 1,
+};
+
+export const parts = Object.keys(partPoints);
+
+export const optionalParts = ['split'];
+
+export const playerParts = {
+  top: 'TOP',
+  jungle: 'JG',
+  mid: 'MID',
+  bot: 'BOT',
+  support: 'SPT',
+};
+
+export const partOutcome = {
+  answered: 'answered',
+  skipped: 'skipped',
+  revealed: 'revealed',
+};
+
+// Every answer from the third in a row on earns one extra point.
+export const streakBonusFrom = 3;
+export const streakBonus = 1;
+
+// Every hint taken on a part is deducted from that part's points, answered or not.
+export const hintCost = 1;
@@ -0,0 +1,15 @@
+export const shortcutAction = {
+  skipPart: 'skipPart',
+  nextQuiz: 'nextQuiz',
+  hint: 'hint',
+  help: 'help',
+};
+
+// Listed in the overlay that ? opens, each described by a message in constants/messages.
+export const shortcuts = [
+  { keys: ['Esc', 'Tab'], action: shortcutAction.skipPart, messageKey: 'shortcuts.skipPart' },
+  { keys: ['Ctrl + Enter'], action: shortcutAction.nextQuiz, messageKey: 'shortcuts.nextQuiz' },
+  { keys: ['H', 'Alt + H'], action: shortcutAction.hint, messageKey: 'shortcuts.hint' },
+  { keys: ['1', '2', '3', '4'], action: null, messageKey: 'shortcuts.choice' },
+  { keys: ['?'], action: shortcutAction.help, messageKey: 'shortcuts.help' },
+];
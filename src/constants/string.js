@@ -1,7 +0,0 @@
-export const positionNameMap = {
-  top: 'Top',
-  jg: 'Jungle',
-  mid: 'Mid',
-  bot: 'Bot',
-  spt: 'Support',
-};
@@ -1,137 +0,0 @@
-export const teams = {
-  TSM: {
-    name: ["Team Solo Mid"],
-    abbr: "TSM",
-    region: "NA",
-  },
-  TL: {
-    name: ["Team Liquid", "liquid"],
-    abbr: "TL",
-    region: "NA",
-  },
-  C9: {
-    name: ["Cloud 9", "cloud nine"],
-    abbr: "C9",
-    region: "NA",
-  },
-  DIG: {
-    name: ["Dignitas"],
-    abbr: "DIG",
-    region: "NA",
-  },
-  REN: {
-    name: ["Renegades"],
-    abbr: "REN",
-    region: "NA",
-  },
-  NV: {
-    name: ["Envyus", "Team Envyus"],
-    abbr: "NV",
-    region: "NA"
-  },
-  '100': {
-    name: ["100T", "100 thieves"],
-    abbr: "100",
-    region: "NA",
-  },
-  IMT: {
-    name: ["Immortals"],
-    abbr: "IMT",
-    region: "NA",
-  },
-  CLG: {
-    name: ["Counter Logic Gaming"],
-    abbr: "CLG",
-    region: "NA",
-  },
-  FLY: {
-    name: ["Fly Quest"],
-    abbr: "FLY",
-    region: "NA",
-  },
-  EG: {
-    name: ["Evil Geniuses"],
-    abbr: "EG",
-    region: "NA",
-  },
-  FNC: {
-    name: ["Fnatic"],
-    abbr: "FNC",
-    region: "EU",
-  },
-  G2: {
-    name: ["G2 Esports"],
-    abbr: "G2",
-    region: "EU",
-  },
-  DB: {
-    name: ["DragonBorns"],
-    abbr: "DB",
-    region: "EU",
-  },
-  SK: {
-    name: ["SK Gaming"],
-    abbr: "SK",
-    region: "EU",
-  },
-  GMB: {
-    name: ["Gambit", "Gambit Gaming"],
-    abbr: "GMB",
-    region: "EU",
-  },
-  SHC: {
-    name: ["Supa Hot Crew"],
-    abbr: "SHC",
-    region: "EU",
-  },
-  H2K: {
-    name: ["H2K Gaming"],
-    abbr: "H2K",
-    region: "EU",
-  },
-  UOL: {
-    name: ["Unicorns of Love"],
-    abbr: "UOL",
-    region: "EU",
-  },
-  ATN: {
-    name: ["Team ALTERNATE", "ALTERNATE"],
-    abbr: "ATN",
-    region: "EU",
-  },
-  OG: {
-    name: ["Origen"],
-    abbr: "OG",
-    region: "EU",
-  },
-  MSF: {
-    name: ["Misfits", "Misfits Gaming"],
-    abbr: "MSF",
-    region: "EU",
-  },
-  S04: {
-    name: ["Schalke", "Schalke 04"],
-    abbr: "S04",
-    region: "EU",
-  },
-  ROC: {
-    name: ["Roccat"],
-    abbr: "ROC",
-    region: "EU",
-  },
-  RGE: {
-    name: ["Rogue"],
-    abbr: "RGE",
-    region: "EU",
-  },
-  MAD: {
-    name: ["Mad Lions"],
-    abbr: "MAD",
-    region: "EU",
-  },
-  VIT: {
-    name: ["Team Vitality", "Vitality"],
-    abbr: "VIT",
-    region: "EU",
-  },
-}
@@ -1,10 +1,35 @@
+import { get } from 'svelte/store';
+
 import App from './App.svelte';
+import { dataset } from './stores/dataset';
+import { restoreProgress } from './stores/progress';
+import { t } from './stores/locale';
+import { knownQuizzes } from './stores/packs';
+import { settings } from './stores/settings';
+import { loadDataset } from './utils/datasetUtils';
+import { parseChallenge } from './utils/urlUtils';
+
+loadDataset(window.fetch.bind(window))
+  .then(({ errors, ...loaded }) => {
+    errors.forEach(error => {
+      console.warn(`[data] ${error.message}`);
+    });
+    dataset.set(loaded);
+    restoreProgress(get(knownQuizzes).map(q => q.id));
 
-const app = new App({
-  target: document.body,
-  props: {
-    name: 'asuka'
-  }
-});
+    const challenge = parseChallenge(window.location.search);
+    if (challenge) {
+      settings.update(s => ({ ...s, ...challenge }));
+    }
 
-export default app;
\ No newline at end of file
+    new App({
+      target: document.body,
+      props: {
+        name: 'asuka'
+      }
+    });
+  })
+  .catch(error => {
+    console.error(`[data] ${error.message}`);
+    document.body.textContent = get(t)('title.loadFailed');
+  });
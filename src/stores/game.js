@@ -0,0 +1,65 @@
+import { writable, derived, get } from 'svelte/store';
+
+import { gameEvent, transitionDelay } from '../constants/game';
+import { createGame, updateGame } from '../utils/gameUtils';
+import { getCurrentRoster, isRosterFinished } from '../utils/scoreUtils';
+import { describeGameChange } from '../utils/announceUtils';
+
+const finishesRoster = (previous, game) => {
+  const roster = getCurrentRoster(game.session);
+  const before = getCurrentRoster(previous.session);
+  return Boolean(roster && before && roster.quizId === before.quizId &&
+    game.session.rosters.length === previous.session.rosters.length &&
+    !isRosterFinished(before) && isRosterFinished(roster));
+};
+
+// Runs the game engine for a component: every change is published, rosters that get finished are reported,
+// and the pause after a finished roster is timed before onNext is asked for the next one.
+export const createGameStore = (session, { onNext = () => {}, onRosterFinished = () => {} } = {}) => {
+  let game = createGame(session);
+  const { subscribe, set } = writable(game);
+  let timeout;
+
+  const dispatch = (event) => {
+    const previous = game;
+    game = updateGame(game, event);
+    if (game === previous) {
+      return game;
+    }
+    set(game);
+    if (finishesRoster(previous, game)) {
+      onRosterFinished(getCurrentRoster(game.session));
+    }
+    if (game.status !== previous.status) {
+      clearTimeout(timeout);
+      if (transitionDelay[game.status]) {
+        timeout = setTimeout(() => {
+          dispatch({ type: gameEvent.next });
+          onNext();
+        }, transitionDelay[game.status]);
+      }
+    }
+    return game;
+  };
+
+  const stop = () => {
+    clearTimeout(timeout);
+  };
+
+  return { subscribe, dispatch, stop };
+};
+
+// What a screen reader should hear as a game store changes, as { text, id } for the Announcer.
+// t is the translate store, so announcements follow the language.
+export const createAnnouncementStore = (game, t) => {
+  let previous = get(game);
+  let id = 0;
+  return derived([game, t], ([$game, $t], set) => {
+    const text = describeGameChange(previous, $game, $t);
+    previous = $game;
+    if (text) {
+      id += 1;
+      set({ text, id });
+    }
+  }, { text: '', id: 0 });
+};
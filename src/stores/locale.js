@@ -0,0 +1,22 @@
+import { writable, derived } from 'svelte/store';
+
+import { storage } from './storage';
+import { detectLocale, loadLocale, saveLocale, translate } from '../utils/i18nUtils';
+
+const languages = window.navigator.languages || [window.navigator.language];
+
+export const locale = writable(storage ? loadLocale(storage, languages) : detectLocale(languages));
+
+locale.subscribe(l => {
+  document.documentElement.lang = l;
+});
+
+// `$t('skip.quiz')` in components, re-rendered whenever the language changes.
+export const t = derived(locale, $locale => (key, params) => translate($locale, key, params));
+
+export const selectLocale = (code) => {
+  locale.set(code);
+  if (storage) {
+    saveLocale(storage, code);
+  }
+};
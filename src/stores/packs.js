@@ -0,0 +1,51 @@
+import { writable, derived, get } from 'svelte/store';
+
+import { storage } from './storage';
+import { dataset } from './dataset';
+import { settings, defaultSettings } from './settings';
+import { gameMode } from '../constants/modes';
+import { builtinPack, buildPackDataset, loadPacks, savePacks } from '../utils/packUtils';
+import { getYears } from '../utils/poolUtils';
+
+export const packs = writable(storage ? loadPacks(storage) : []);
+
+if (storage) {
+  packs.subscribe(p => savePacks(storage, p));
+}
+
+// Built once per pack object, so quiz objects keep their identity while other packs are edited.
+const built = new WeakMap();
+
+const getPackDataset = (pack, base) => {
+  const cached = built.get(pack);
+  if (!cached || cached.base !== base) {
+    built.set(pack, { base, dataset: buildPackDataset(pack, base) });
+  }
+  return built.get(pack).dataset;
+};
+
+export const packDatasets = derived([dataset, packs], ([$dataset, $packs]) => $packs
+  .reduce((acc, pack) => ({ ...acc, [pack.id]: getPackDataset(pack, $dataset) }), {}));
+
+// Every roster a session or saved progress can refer to, whichever pack is being played.
+export const knownQuizzes = derived([dataset, packDatasets], ([$dataset, $packDatasets]) => [
+  ...$dataset.quizzes,
+  ...Object.values($packDatasets).reduce((acc, d) => [...acc, ...d.quizzes], []),
+]);
+
+export const activeDataset = derived([dataset, packDatasets, settings], ([$dataset, $packDatasets, $settings]) => (
+  $settings.pack !== builtinPack && $packDatasets[$settings.pack]) || $dataset);
+
+// Switching packs resets the league and year filters to what the pack covers.
+export const selectPack = (id) => {
+  const pack = get(packDatasets)[id];
+  const years = getYears((pack || get(dataset)).quizzes);
+  settings.update(s => ({
+    ...s,
+    pack: pack ? id : builtinPack,
+    mode: pack && s.mode === gameMode.daily ? gameMode.classic : s.mode,
+    league: 'ALL',
+    yearFrom: years[0] || defaultSettings.yearFrom,
+    yearTo: years[years.length - 1] || defaultSettings.yearTo,
+  }));
+};
@@ -0,0 +1,14 @@
+import { writable } from 'svelte/store';
+
+import { storage } from './storage';
+import { createProgress, loadProgress, saveProgress } from '../utils/storageUtils';
+
+export const progress = writable(createProgress());
+
+// Saved progress can only be pruned once the dataset is loaded, so saving starts from here too.
+export const restoreProgress = (knownIds) => {
+  progress.set(loadProgress(storage, knownIds));
+  if (storage) {
+    progress.subscribe(p => saveProgress(storage, p));
+  }
+};
@@ -0,0 +1,129 @@
+import { writable, get } from 'svelte/store';
+
+import { progress } from './progress';
+import { gameEvent } from '../constants/game';
+import { createSession } from '../utils/scoreUtils';
+import { createProgress, recordRosterProgress } from '../utils/storageUtils';
+import { getRemainingPool } from '../utils/poolUtils';
+import { createRandom, shuffle } from '../utils/randomUtils';
+
+const withPools = (run) => {
+  const pool = run.replayPool || run.filteredPool;
+  return { ...run, pool, remainingPool: getRemainingPool(pool, run.answeredPool) };
+};
+
+// Draws the rosters of a run for a game store, as the classic and reverse quizzes do: from the filtered pool
+// or a replay of some of it, never one already answered, in the order a challenge seed or a review fixes.
+// showQuiz loads a drawn roster into the game. The progress is saved as rosters finish and runs change,
+// not on every change to the game.
+export const createRunStore = (game, { showQuiz }) => {
+  let run = withPools({
+    answeredPool: get(progress).seen,
+    filteredPool: [],
+    filterKey: null,
+    seededOrder: null,
+    replayPool: null,
+    // A review run plays its pool in order, the most often missed rosters first.
+    isReviewRun: false,
+  });
+  const { subscribe, set } = writable(run);
+
+  const save = (record = p => p) => {
+    const { session } = get(game);
+    progress.update(p => ({
+      ...record(p),
+      seen: run.answeredPool,
+      session,
+      bestStreak: Math.max(p.bestStreak, session.bestStreak),
+    }));
+  };
+
+  const update = (changes) => {
+    run = withPools({ ...run, ...changes });
+    set(run);
+  };
+
+  const forget = (ids) => update({ answeredPool: run.answeredPool.filter(id => !ids.includes(id)) });
+
+  const see = (id) => update({ answeredPool: [...run.answeredPool, id] });
+
+  const next = () => {
+    const remaining = run.remainingPool;
+    if (remaining.length === 0) {
+      game.dispatch({ type: gameEvent.load, quizId: null });
+      return;
+    }
+    const order = run.isReviewRun ? run.replayPool : run.seededOrder;
+    const id = order
+      ? order.find(quizId => remaining.includes(quizId))
+      : remaining[Math.floor(Math.random() * remaining.length)];
+    see(id);
+    showQuiz(id);
+  };
+
+  // filterKey changes only with the league, years or pack, which end a replay or review run.
+  // A seed fixes the order rosters are drawn in, so everyone with the same link plays the same run.
+  const setFilter = (filteredPool, filterKey, seed) => {
+    const isNewFilter = filterKey !== run.filterKey;
+    update({
+      filteredPool,
+      filterKey,
+      seededOrder: seed ? shuffle(filteredPool, createRandom(seed)) : null,
+      replayPool: isNewFilter ? null : run.replayPool,
+      isReviewRun: isNewFilter ? false : run.isReviewRun,
+    });
+  };
+
+  // Draws a new roster if the one being played has dropped out of the pool.
+  const checkPool = () => {
+    const { quizId } = get(game);
+    if (!quizId || !run.pool.includes(quizId)) {
+      next();
+    }
+  };
+
+  const replay = (ids, { isReviewRun = false } = {}) => {
+    update({ replayPool: ids, isReviewRun });
+    forget(ids);
+    save();
+    next();
+  };
+
+  const reshuffle = () => {
+    update({ replayPool: null, isReviewRun: false });
+    forget(run.filteredPool);
+    save();
+    next();
+  };
+
+  // A challenge starts from scratch, ignoring rosters seen before.
+  const restart = () => {
+    game.dispatch({ type: gameEvent.setSession, session: createSession() });
+    reshuffle();
+  };
+
+  const reset = () => {
+    progress.set(createProgress());
+    game.dispatch({ type: gameEvent.setSession, session: createSession() });
+    update({ answeredPool: [], replayPool: null, isReviewRun: false });
+    next();
+  };
+
+  const finishRoster = (roster) => {
+    save(p => recordRosterProgress(p, roster));
+  };
+
+  return {
+    subscribe,
+    setFilter,
+    checkPool,
+    next,
+    see,
+    forget,
+    replay,
+    reshuffle,
+    restart,
+    reset,
+    finishRoster,
+  };
+};
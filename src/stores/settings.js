@@ -0,0 +1,22 @@
+import { writable } from 'svelte/store';
+
+import { gameMode, reverseInput, careerClue } from '../constants/modes';
+import { yearRange } from '../constants/schema';
+import { builtinPack } from '../utils/packUtils';
+
+export const defaultSettings = {
+  mode: gameMode.classic,
+  pack: builtinPack,
+  blitzPreset: 1,
+  league: 'ALL',
+  yearFrom: String(yearRange.from),
+  yearTo: String(yearRange.to),
+  askSplit: false,
+  multipleChoice: false,
+  reverseInput: reverseInput.names,
+  careerClue: careerClue.name,
+  typoTolerance: 1,
+  seed: null,
+};
+
+export const settings = writable({ ...defaultSettings });
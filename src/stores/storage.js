@@ -0,0 +1,9 @@
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const storage = getStorage();
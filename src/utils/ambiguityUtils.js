@@ -0,0 +1,48 @@
+import { positions } from '../constants/schema';
+import { playerParts } from '../constants/score';
+import { isSameTeam } from './teamUtils';
+
+export const getFlagLineup = (quiz) => positions.map(position => quiz.players[position].nationality).join('-');
+
+// Parts whose answer differs between two rosters, i.e. parts a player could get "wrong" by naming the other one.
+export const getDifferingParts = (a, b) => [
+  !isSameTeam(a.team, b.team) ? 'team' : null,
+  a.year !== b.year ? 'year' : null,
+  a.split !== b.split ? 'split' : null,
+  ...Object.keys(playerParts).map(part => {
+    const position = playerParts[part];
+    return a.players[position].ign[0] !== b.players[position].ign[0] ? part : null;
+  }),
+].filter(part => part !== null);
+
+export const findCollisions = (quizzes, quiz, { withTeam = false, withYear = false } = {}) => {
+  const lineup = getFlagLineup(quiz);
+  return quizzes.filter(other => other !== quiz &&
+    getFlagLineup(other) === lineup &&
+    (!withTeam || isSameTeam(other.team, quiz.team)) &&
+    (!withYear || other.year === quiz.year) &&
+    getDifferingParts(quiz, other).length > 0);
+};
+
+// Every roster a player could be thinking of when looking at this quiz's flags, the quiz itself first.
+export const getCandidates = (quizzes, quiz) => {
+  const lineup = getFlagLineup(quiz);
+  return [quiz, ...quizzes.filter(other => other !== quiz && getFlagLineup(other) === lineup)];
+};
+
+export const analyzeAmbiguity = (quizzes, options) => quizzes
+  .map(quiz => ({
+    id: quiz.id,
+    lineup: getFlagLineup(quiz),
+    collisions: findCollisions(quizzes, quiz, options).map(other => ({
+      id: other.id,
+      differingParts: getDifferingParts(quiz, other),
+    })),
+  }))
+  .filter(entry => entry.collisions.length > 0);
+
+export const formatAmbiguityReport = (report) => report
+  .map(entry => `${entry.id} (${entry.lineup}) collides with ${entry.collisions
+    .map(c => `${c.id} [${c.differingParts.join(', ')}]`)
+    .join('; ')}`)
+  .join('\n');
@@ -0,0 +1,66 @@
+import { gameState } from '../constants/game';
+import { partOutcome } from '../constants/score';
+import { getPartAnswers } from './answerUtils';
+import { matchResult } from './matchUtils';
+import { getPartMessageKey } from './i18nUtils';
+
+const resultKeys = {
+  [matchResult.correct]: 'announce.correct',
+  [matchResult.close]: 'announce.close',
+  [matchResult.wrong]: 'announce.incorrect',
+};
+
+const outcomeKeys = {
+  [partOutcome.answered]: 'announce.answered',
+  [partOutcome.skipped]: 'announce.skipped',
+  [partOutcome.revealed]: 'announce.missed',
+};
+
+const describeAnswer = (t, quiz, part) => t('announce.answer', {
+  part: t(getPartMessageKey(part)),
+  answer: getPartAnswers(quiz, part)[0],
+});
+
+const sentences = (...texts) => texts.filter(Boolean).join(' ');
+
+// What a screen reader should hear after the game went from previous to game, or '' for nothing worth saying.
+// t is the translate function of the current language, $t in components.
+export const describeGameChange = (previous, game, t) => {
+  const quiz = game.candidates[0];
+  if (!quiz) {
+    return '';
+  }
+  const question = game.status === gameState.answering
+    ? t('announce.question', { part: t(getPartMessageKey(game.current)) })
+    : '';
+  if (game.session.rosters.length !== previous.session.rosters.length) {
+    return sentences(t('announce.newRoster'), question);
+  }
+  if (game.status === gameState.revealing && previous.status !== gameState.revealing) {
+    return t('announce.revealed', { answers: game.parts.map(part => describeAnswer(t, quiz, part)).join(', ') });
+  }
+  if (game.last !== previous.last) {
+    const done = game.status === gameState.transitioning ? t('announce.rosterComplete') : question;
+    return sentences(t(outcomeKeys[game.last.outcome], { answer: describeAnswer(t, quiz, game.last.part) }), done);
+  }
+  if (game.attempts !== previous.attempts) {
+    return t(resultKeys[game.result]);
+  }
+  return '';
+};
+
+// Career mode runs without the game engine, so it announces each step itself.
+export const describeCareerPlayer = (t, clue) => t('announce.newPlayer', { player: clue });
+
+// label is the team and year the answer found, when it found a new one.
+export const describeCareerAnswer = (t, result, { label, found, total }) => {
+  if (result !== matchResult.correct || !label) {
+    return t(resultKeys[result]);
+  }
+  return sentences(
+    t('announce.answered', { answer: label }),
+    found === total ? t('announce.careerComplete') : t('career.count', { found, total }),
+  );
+};
+
+export const describeCareerReveal = (t, labels) => t('announce.revealed', { answers: labels.join(', ') });
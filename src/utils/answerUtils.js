@@ -0,0 +1,42 @@
+import { playerParts } from '../constants/score';
+import { generalizeName, generalizeSplit } from './stringUtils';
+import { matchAnswer, matchResult } from './matchUtils';
+
+const resultRank = [matchResult.wrong, matchResult.close, matchResult.correct];
+
+export const getPartAnswers = (quiz, part) => {
+  if (part === 'team') {
+    return [...quiz.team.name, quiz.team.abbr];
+  }
+  if (part === 'year') {
+    return [quiz.year];
+  }
+  if (part === 'split') {
+    return [quiz.split];
+  }
+  return [...quiz.players[playerParts[part]].ign];
+};
+
+export const checkPartAnswer = (quiz, part, value, tolerance) => {
+  const answers = getPartAnswers(quiz, part);
+  if (part === 'year') {
+    return answers.includes(generalizeName(value)) ? matchResult.correct : matchResult.wrong;
+  }
+  if (part === 'split') {
+    return answers.includes(generalizeSplit(value)) ? matchResult.correct : matchResult.wrong;
+  }
+  return matchAnswer(value, answers, tolerance);
+};
+
+// Checks an answer against every roster still consistent with the flags and the parts answered so far,
+// and narrows the candidates down to the rosters the answer fits.
+export const checkCandidates = (candidates, part, value, tolerance) => {
+  const results = candidates.map(quiz => checkPartAnswer(quiz, part, value, tolerance));
+  const result = results.reduce((best, r) => resultRank.indexOf(r) > resultRank.indexOf(best) ? r : best, matchResult.wrong);
+  return {
+    result,
+    candidates: result === matchResult.correct
+      ? candidates.filter((_, i) => results[i] === matchResult.correct)
+      : candidates,
+  };
+};
@@ -0,0 +1,62 @@
+import { positions, splits } from '../constants/schema';
+import { findPlayerRosters } from './hintUtils';
+import { isSameTeam } from './teamUtils';
+import { matchAnswer, matchResult } from './matchUtils';
+
+// Role-swapped players are separate objects per position, so players are told apart by IGN.
+export const getPlayerKey = (player) => player.ign[0].toLowerCase();
+
+// Every player on the given rosters once, under the position they were first quizzed in.
+export const getCareerPlayers = (quizzes) => {
+  const players = {};
+  quizzes.forEach(quiz => positions.forEach(position => {
+    const player = quiz.players[position];
+    if (!players[getPlayerKey(player)]) {
+      players[getPlayerKey(player)] = player;
+    }
+  }));
+  return players;
+};
+
+// One entry per team and year the player was quizzed with, in chronological order.
+export const getCareer = (quizzes, player) => findPlayerRosters(quizzes, player)
+  .reduce((entries, quiz) => {
+    const entry = entries.find(e => isSameTeam(e.team, quiz.team) && e.year === quiz.year);
+    if (!entry) {
+      return [...entries, {
+        id: `${quiz.team.id}-${quiz.year}`,
+        team: quiz.team,
+        year: quiz.year,
+        league: quiz.league,
+        splits: [quiz.split],
+      }];
+    }
+    return entries.map(e => (e === entry ? { ...e, splits: [...e.splits, quiz.split] } : e));
+  }, [])
+  .map(entry => ({ ...entry, splits: splits.filter(split => entry.splits.includes(split)) }))
+  .sort((a, b) => a.year.localeCompare(b.year) || a.team.abbr.localeCompare(b.team.abbr));
+
+// Splits "TSM 2015", "Fnatic, '18" and the like into a team name and a four-digit year.
+export const parseCareerAnswer = (value) => {
+  const match = (value || '').trim().match(/^(.*?)[\s,]*'?(\d{4}|\d{2})$/);
+  if (!match || !match[1]) {
+    return null;
+  }
+  return { team: match[1], year: match[2].length === 2 ? `20${match[2]}` : match[2] };
+};
+
+export const checkCareerAnswer = (career, value, tolerance) => {
+  const parsed = parseCareerAnswer(value);
+  if (!parsed) {
+    return { result: matchResult.wrong, entry: null };
+  }
+  const teamResults = career.map(entry => matchAnswer(parsed.team, [...entry.team.name, entry.team.abbr], tolerance));
+  const entry = career.find((e, i) => teamResults[i] === matchResult.correct && e.year === parsed.year);
+  if (entry) {
+    return { result: matchResult.correct, entry };
+  }
+  // The right team in the wrong year, or a near miss on the name, is not a wild guess.
+  const isClose = career.some((e, i) => teamResults[i] === matchResult.correct ||
+    (teamResults[i] === matchResult.close && e.year === parsed.year));
+  return { result: isClose ? matchResult.close : matchResult.wrong, entry: null };
+};
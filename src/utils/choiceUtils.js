@@ -0,0 +1,64 @@
+import { playerParts } from '../constants/score';
+import { splits } from '../constants/schema';
+import { getYears } from './poolUtils';
+import { isSameTeam, getTeamLabel } from './teamUtils';
+import { shuffle } from './randomUtils';
+
+export const choiceCount = 4;
+
+// Years either side of the roster that still make a distractor plausible.
+const nearbyYears = 2;
+
+// Same region and nearby years first, so the wrong options are ones a player could believe.
+const getTier = (quiz, other) => (other.region === quiz.region ? 0 : 2) +
+  (Math.abs(Number(other.year) - Number(quiz.year)) <= nearbyYears ? 0 : 1);
+
+const capitalize = (text) => text[0].toUpperCase() + text.substr(1);
+
+const getOptions = (quizzes, candidates, part) => {
+  const quiz = candidates[0];
+  if (part === 'team') {
+    return {
+      answer: { label: getTeamLabel(quizzes, quiz), value: quiz.team.name[0] },
+      distractors: quizzes
+        .filter(q => !candidates.some(c => isSameTeam(c.team, q.team)))
+        .map(q => ({ label: getTeamLabel(quizzes, q), value: q.team.name[0], tier: getTier(quiz, q) })),
+    };
+  }
+  if (part === 'year') {
+    return {
+      answer: { label: quiz.year, value: quiz.year },
+      distractors: getYears(quizzes)
+        .filter(year => !candidates.some(c => c.year === year))
+        .map(year => ({ label: year, value: year, tier: Math.abs(Number(year) - Number(quiz.year)) })),
+    };
+  }
+  if (part === 'split') {
+    return {
+      answer: { label: capitalize(quiz.split), value: quiz.split },
+      distractors: splits
+        .filter(split => !candidates.some(c => c.split === split))
+        .map(split => ({ label: capitalize(split), value: split, tier: 0 })),
+    };
+  }
+  const position = playerParts[part];
+  const taken = candidates.map(c => c.players[position].ign[0].toLowerCase());
+  return {
+    answer: { label: quiz.players[position].ign[0], value: quiz.players[position].ign[0] },
+    distractors: quizzes
+      .filter(q => !taken.includes(q.players[position].ign[0].toLowerCase()))
+      .map(q => ({ label: q.players[position].ign[0], value: q.players[position].ign[0], tier: getTier(quiz, q) })),
+  };
+};
+
+// The answer for the shown roster plus up to three distractors drawn from the dataset, in random order.
+// Distractors never fit another candidate roster, so exactly one option is accepted.
+export const getChoices = (quizzes, candidates, part, random = Math.random) => {
+  const { answer, distractors } = getOptions(quizzes, candidates, part);
+  const picked = shuffle(distractors, random)
+    .sort((a, b) => a.tier - b.tier)
+    .filter((option, i, all) => all.findIndex(o => o.value === option.value) === i)
+    .slice(0, choiceCount - 1)
+    .map(({ label, value }) => ({ label, value }));
+  return shuffle([answer, ...picked], random);
+};
@@ -0,0 +1,39 @@
+import { countries } from '../constants/countries';
+import { defaultLocale } from '../constants/locales';
+import { playerParts, partOutcome } from '../constants/score';
+
+export const countryCodes = Object.keys(countries);
+
+export const getCountryName = (code, locale = 'en') => {
+  const country = countries[code];
+  if (!country) {
+    return code;
+  }
+  return country.localizedNames[locale] || country.name;
+};
+
+export const getDemonym = (code) => (countries[code] ? countries[code].demonym : code);
+
+// Demonyms are only kept in English; other languages name the country.
+export const getNationalityName = (code, locale = defaultLocale) => (
+  locale === defaultLocale ? getDemonym(code) : getCountryName(code, locale));
+
+// How often the players of each nationality were named, from the last outcome of every roster played.
+export const getNationalityAccuracy = (quizzes, playedRosters) => {
+  const stats = {};
+  quizzes.filter(quiz => playedRosters[quiz.id]).forEach(quiz => {
+    const { lastOutcome } = playedRosters[quiz.id];
+    Object.keys(playerParts).filter(part => lastOutcome[part]).forEach(part => {
+      const code = quiz.players[playerParts[part]].nationality;
+      const previous = stats[code] || { code, answered: 0, total: 0 };
+      stats[code] = {
+        code,
+        answered: previous.answered + (lastOutcome[part] === partOutcome.answered ? 1 : 0),
+        total: previous.total + 1,
+      };
+    });
+  });
+  return Object.values(stats)
+    .map(stat => ({ ...stat, accuracy: stat.answered / stat.total }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total);
+};
@@ -0,0 +1,60 @@
+import { dailyRosters, dailyEpoch, shareCell, shareEmoji } from '../constants/daily';
+import { partOutcome } from '../constants/score';
+import { getQuizParts } from './scoreUtils';
+import { createRandom, shuffle } from './randomUtils';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// The player's local calendar date, so the daily changes at their midnight.
+export const getDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toUtcDay = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+};
+
+export const getDailyNumber = (dateKey) => toUtcDay(dateKey) - toUtcDay(dailyEpoch) + 1;
+
+// Sorting first keeps the pick independent of the order rosters are stored in.
+export const getDailyQuizIds = (quizzes, dateKey, count = dailyRosters) => shuffle(
+  quizzes.map(q => q.id).sort(),
+  createRandom(`daily-${dateKey}`),
+).slice(0, count);
+
+export const getShareCell = (part) => {
+  if (!part || part.outcome !== partOutcome.answered) {
+    return shareCell.missed;
+  }
+  return part.hints > 0 ? shareCell.hinted : shareCell.answered;
+};
+
+// Rosters that were never reached count as missed, so leaving early can't improve the grid.
+export const createDailyResult = (dateKey, quizIds, rosters, finished) => {
+  const rows = quizIds.map(quizId => {
+    const roster = rosters.find(r => r.quizId === quizId);
+    return {
+      quizId,
+      cells: getQuizParts().map(part => getShareCell(roster && roster.parts[part])),
+      score: roster ? roster.score : 0,
+    };
+  });
+  return {
+    date: dateKey,
+    rows,
+    score: rows.reduce((acc, row) => acc + row.score, 0),
+    finished,
+  };
+};
+
+export const recordDailyResult = (progress, result) => ({
+  ...progress,
+  daily: { ...progress.daily, [result.date]: result },
+});
+
+// t is the translate function of the current language, $t in components.
+export const formatShareText = (result, t) => [
+  t('daily.shareTitle', { number: getDailyNumber(result.date) }),
+  t(result.finished ? 'daily.sharePoints' : 'daily.sharePointsUnfinished', { score: result.score }),
+  '',
+  ...result.rows.map(row => row.cells.map(cell => shareEmoji[cell]).join('')),
+].join('\n');
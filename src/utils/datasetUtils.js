@@ -0,0 +1,49 @@
+import { positions, dataVersion, dataFiles } from '../constants/schema';
+import { validateData, filterValidQuizzes } from './validationUtils';
+
+export const checkDataFile = (name, file) => {
+  if (!file || typeof file !== 'object') {
+    throw new Error(`${name}.json is not a JSON object`);
+  }
+  if (file.version !== dataVersion) {
+    throw new Error(`${name}.json has version ${file.version}, expected ${dataVersion}`);
+  }
+  const content = file[name];
+  const isList = name === 'quizzes';
+  if (!content || Array.isArray(content) !== isList || typeof content !== 'object') {
+    throw new Error(`${name}.json has no ${isList ? 'list' : 'map'} of ${name}`);
+  }
+  return content;
+};
+
+// Quizzes in JSON refer to teams and players by key; resolve them to the shared objects.
+export const hydrateQuiz = (quiz, { players, teams }) => ({
+  ...quiz,
+  team: teams[quiz.team],
+  players: positions.reduce((acc, position) => ({
+    ...acc,
+    [position]: (players[position] || {})[quiz.players && quiz.players[position]],
+  }), {}),
+});
+
+export const buildDataset = (files) => {
+  const [players, teams, quizzes] = dataFiles.map(name => checkDataFile(name, files[name]));
+  const hydrated = quizzes.map(quiz => hydrateQuiz(quiz, { players, teams }));
+  return {
+    players,
+    teams,
+    quizzes: filterValidQuizzes(hydrated, { players, teams }),
+    errors: validateData({ quizzes: hydrated, players, teams }),
+  };
+};
+
+export const loadDataset = async (fetchFn, baseUrl = 'data') => {
+  const files = await Promise.all(dataFiles.map(async name => {
+    const response = await fetchFn(`${baseUrl}/${name}.json`);
+    if (!response.ok) {
+      throw new Error(`Could not load ${name}.json (${response.status})`);
+    }
+    return response.json();
+  }));
+  return buildDataset(dataFiles.reduce((acc, name, i) => ({ ...acc, [name]: files[i] }), {}));
+};
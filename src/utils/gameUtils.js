@@ -0,0 +1,131 @@
+import { gameState, gameEvent, transitionDelay } from '../constants/game';
+import { partOutcome } from '../constants/score';
+import { createSession, startRoster, recordPart, useHint, getCurrentRoster } from './scoreUtils';
+import { checkCandidates } from './answerUtils';
+import { checkFlagCandidates } from './reverseUtils';
+import { matchResult } from './matchUtils';
+
+// The quiz flow as a state machine: updateGame takes the game and an event and returns the next game,
+// leaving timers and the choice of the next roster to whoever runs it.
+export const createGame = (session = createSession()) => ({
+  status: gameState.idle,
+  quizId: null,
+  candidates: [],
+  parts: [],
+  queue: [],
+  current: null,
+  values: {},
+  outcomes: {},
+  result: matchResult.wrong,
+  // Answers given so far, right or wrong, so that a repeated wrong answer still counts as a new one.
+  attempts: 0,
+  // The part recorded last and how, for scoreboards that react to each answer.
+  last: null,
+  session,
+});
+
+export const isAnswering = (game) => game.status === gameState.answering;
+
+export const isTransitioning = (game) => Boolean(transitionDelay[game.status]);
+
+const record = (game, part, outcome) => ({
+  ...game,
+  outcomes: { ...game.outcomes, [part]: outcome },
+  session: recordPart(game.session, part, outcome),
+  last: { part, outcome },
+});
+
+const revealAll = (game) => ({
+  ...game.queue.reduce((acc, part) => record(acc, part, partOutcome.revealed), game),
+  queue: [],
+});
+
+const advance = (game) => {
+  const queue = game.queue.slice(1);
+  return {
+    ...game,
+    queue,
+    current: queue[0] || game.current,
+    status: queue.length === 0 ? gameState.transitioning : gameState.answering,
+  };
+};
+
+// A wrong or close answer leaves the part open; a correct one narrows the candidates and moves on.
+const settle = (game, checked) => {
+  const attempts = game.attempts + 1;
+  if (checked.result !== matchResult.correct) {
+    return { ...game, result: checked.result, attempts };
+  }
+  return advance(record(
+    { ...game, result: checked.result, attempts, candidates: checked.candidates },
+    game.current,
+    partOutcome.answered,
+  ));
+};
+
+// A picked option or flag must match exactly, and a wrong one gives the answer away, so the part counts as revealed.
+const choose = (game, checked) => {
+  const isCorrect = checked.result === matchResult.correct;
+  return advance(record(
+    {
+      ...game,
+      result: checked.result,
+      attempts: game.attempts + 1,
+      candidates: isCorrect ? checked.candidates : game.candidates,
+    },
+    game.current,
+    isCorrect ? partOutcome.answered : partOutcome.revealed,
+  ));
+};
+
+const whileAnswering = (handler) => (game, event) => (isAnswering(game) ? handler(game, event) : game);
+
+const handlers = {
+  [gameEvent.load]: (game, { quizId, candidates, parts }) => {
+    if (!quizId) {
+      return { ...createGame(game.session), result: game.result, attempts: game.attempts };
+    }
+    return {
+      ...createGame(startRoster(game.session, quizId, parts)),
+      status: gameState.answering,
+      quizId,
+      candidates,
+      parts,
+      queue: [...parts],
+      current: parts[0],
+      result: game.result,
+      attempts: game.attempts,
+    };
+  },
+  [gameEvent.input]: whileAnswering((game, { value }) => ({
+    ...game,
+    values: { ...game.values, [game.current]: value },
+  })),
+  [gameEvent.submit]: whileAnswering((game, { tolerance }) => settle(
+    game,
+    checkCandidates(game.candidates, game.current, game.values[game.current] || '', tolerance),
+  )),
+  // Reverse mode can answer a player with their flag. The flag is kept as the part's value,
+  // and a wrong one reveals the part like a wrong pick, so the palette can't be clicked through.
+  [gameEvent.flag]: whileAnswering((game, { code }) => choose(
+    { ...game, values: { ...game.values, [game.current]: code } },
+    checkFlagCandidates(game.candidates, game.current, code),
+  )),
+  [gameEvent.pick]: whileAnswering((game, { value }) => choose(
+    game,
+    checkCandidates(game.candidates, game.current, value, 0),
+  )),
+  [gameEvent.skipPart]: whileAnswering(game => advance(record(game, game.current, partOutcome.skipped))),
+  [gameEvent.skipQuiz]: whileAnswering(game => ({ ...revealAll(game), status: gameState.revealing })),
+  // available is how many hints the part has; asking for more than that costs nothing.
+  [gameEvent.hint]: whileAnswering((game, { available = 0 }) => (
+    getCurrentRoster(game.session).parts[game.current].hints < available
+      ? { ...game, session: useHint(game.session, game.current) }
+      : game
+  )),
+  [gameEvent.end]: game => (game.status === gameState.idle ? game : { ...revealAll(game), status: gameState.ended }),
+  [gameEvent.next]: game => (isTransitioning(game) ? { ...game, status: gameState.idle } : game),
+  [gameEvent.setSession]: (game, { session }) => ({ ...game, session }),
+};
+
+export const updateGame = (game, event) => (handlers[event.type] ? handlers[event.type](game, event) : game);
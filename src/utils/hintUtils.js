@@ -0,0 +1,66 @@
+import { playerParts, hintCost } from '../constants/score';
+import { leagues } from '../constants/leagues';
+import { findTeamRosters, getRosterLeague, getTeamLabel } from './teamUtils';
+import { getNationalityName } from './countryUtils';
+import { translate } from './i18nUtils';
+
+const isSamePlayer = (a, b) => a.ign[0].toLowerCase() === b.ign[0].toLowerCase();
+
+const hint = (key, params = {}) => ({ key, params, cost: hintCost });
+
+const formatRoster = (quizzes, quiz, locale) => (
+  `${getTeamLabel(quizzes, quiz)} ${quiz.year} ${translate(locale, `split.${quiz.split}`)}`);
+
+export const findPlayerRosters = (quizzes, player) => quizzes
+  .filter(q => Object.values(q.players).some(p => isSamePlayer(p, player)));
+
+const getYearRange = (quizzes, year, spread) => {
+  const years = quizzes.map(q => Number(q.year));
+  const from = Math.max(Math.min(...years), Number(year) - spread);
+  const to = Math.min(Math.max(...years), Number(year) + spread);
+  return hint('hint.yearRange', { from, to });
+};
+
+const getTeamHints = (quizzes, quiz) => {
+  const otherYears = [...new Set(findTeamRosters(quizzes, quiz.team)
+    .filter(q => q !== quiz)
+    .map(q => q.year))];
+  const league = getRosterLeague(quizzes, quiz);
+  return [
+    league ? hint('hint.league', { league: leagues[league].name }) : null,
+    hint('hint.abbrLength', { count: quiz.team.abbr.length }),
+    otherYears.length > 0 ? hint('hint.otherYears', { years: otherYears.join(', ') }) : null,
+    hint('hint.teamInitial', { letter: quiz.team.name[0][0].toUpperCase() }),
+  ];
+};
+
+const getYearHints = (quizzes, quiz) => [
+  getYearRange(quizzes, quiz.year, 2),
+  getYearRange(quizzes, quiz.year, 1),
+];
+
+const getPlayerHints = (quizzes, quiz, player, withNationality, locale) => {
+  const otherRosters = findPlayerRosters(quizzes, player).filter(q => q !== quiz);
+  return [
+    withNationality ? hint('hint.nationality', { nationality: getNationalityName(player.nationality, locale) }) : null,
+    hint('hint.playerInitial', { letter: player.ign[0][0].toUpperCase() }),
+    hint('hint.ignLength', { count: player.ign[0].length }),
+    otherRosters.length > 0
+      ? hint('hint.otherRosters', { rosters: otherRosters.map(q => formatRoster(quizzes, q, locale)).join(', ') })
+      : null,
+  ];
+};
+
+// Hints are message keys with their params, rendered with $t. withNationality adds a
+// nationality hint for modes that keep the flags hidden, in the given locale.
+export const getHints = (quizzes, quiz, part, { withNationality = false, locale } = {}) => {
+  let hints = [];
+  if (part === 'team') {
+    hints = getTeamHints(quizzes, quiz);
+  } else if (part === 'year') {
+    hints = getYearHints(quizzes, quiz);
+  } else if (playerParts[part]) {
+    hints = getPlayerHints(quizzes, quiz, quiz.players[playerParts[part]], withNationality, locale);
+  }
+  return hints.filter(h => h !== null);
+};
@@ -0,0 +1,55 @@
+import { defaultLocale, locales } from '../constants/locales';
+import { messages } from '../constants/messages';
+import { playerParts } from '../constants/score';
+
+export const localeKey = 'lcs-lec-flag-quiz-locale';
+
+const localeCodes = locales.map(locale => locale.code);
+
+// Traditional Chinese is also what Hong Kong and Macau read.
+const traditionalChinese = ['zh-tw', 'zh-hant', 'zh-hk', 'zh-mo'];
+
+const matchLanguage = (language) => {
+  const lower = language.toLowerCase();
+  if (traditionalChinese.some(tag => lower === tag || lower.startsWith(`${tag}-`))) {
+    return 'zh-TW';
+  }
+  return localeCodes.find(code => code.toLowerCase() === lower)
+    || localeCodes.find(code => code === lower.split('-')[0] && code !== 'zh-TW');
+};
+
+// The first of the browser's preferred languages we have a catalog for.
+export const detectLocale = (languages = []) => languages
+  .map(matchLanguage)
+  .find(Boolean) || defaultLocale;
+
+export const isLocale = (code) => localeCodes.includes(code);
+
+export const translate = (locale, key, params = {}) => {
+  const catalog = messages[locale] || messages[defaultLocale];
+  const template = catalog[key] || messages[defaultLocale][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// Player parts are labelled with their position's name, the other parts with their own.
+export const getPartMessageKey = (part) => (
+  playerParts[part] ? `position.${playerParts[part].toLowerCase()}` : `part.${part}`);
+
+// Only a language picked in the switcher is saved, so visitors who never pick
+// one keep following their browser.
+export const loadLocale = (storage, languages) => {
+  try {
+    const saved = storage.getItem(localeKey);
+    return isLocale(saved) ? saved : detectLocale(languages);
+  } catch (e) {
+    return detectLocale(languages);
+  }
+};
+
+export const saveLocale = (storage, locale) => {
+  try {
+    storage.setItem(localeKey, locale);
+  } catch (e) {
+    // Same as progress: the language just won't survive a reload.
+  }
+};
@@ -0,0 +1,66 @@
+export const matchResult = {
+  correct: 'correct',
+  close: 'close',
+  wrong: 'wrong',
+};
+
+const leetMap = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+};
+
+// Extra edits beyond the tolerance that still count as "close, but not quite".
+const closeMargin = 2;
+
+export const normalizeAnswer = (rawAnswer) => {
+  if (!rawAnswer) {
+    return '';
+  }
+  return rawAnswer
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[013]/g, c => leetMap[c])
+    .replace(/[^a-z0-9]/g, '');
+};
+
+export const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        prev[j] + 1,
+        current[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+// Short names get less leeway so "Hai" does not accept "Hal".
+export const getAllowedTypos = (answer, tolerance) => Math.min(tolerance, Math.floor(answer.length / 4));
+
+export const matchAnswer = (input, answers, tolerance = 0) => {
+  const normalizedInput = normalizeAnswer(input);
+  if (!normalizedInput) {
+    return matchResult.wrong;
+  }
+
+  let result = matchResult.wrong;
+  for (const answer of answers) {
+    const normalizedAnswer = normalizeAnswer(answer);
+    const distance = editDistance(normalizedInput, normalizedAnswer);
+    const allowed = getAllowedTypos(normalizedAnswer, tolerance);
+    if (distance <= allowed) {
+      return matchResult.correct;
+    }
+    if (normalizedAnswer.length > 3 && distance <= allowed + closeMargin) {
+      result = matchResult.close;
+    }
+  }
+  return result;
+};
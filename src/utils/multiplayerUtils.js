@@ -0,0 +1,41 @@
+import { minRounds, maxRounds } from '../constants/multiplayer';
+
+// A cleared or out-of-range rounds field still starts a match that can end.
+const clampRounds = (rounds) => Math.min(Math.max(Math.floor(rounds) || minRounds, minRounds), maxRounds);
+
+export const createMatch = (names, turn, rounds) => ({
+  players: names.map(name => ({ name, score: 0, answered: 0 })),
+  activeIndex: 0,
+  turn,
+  round: 1,
+  rounds: clampRounds(rounds),
+  ended: false,
+});
+
+export const getActivePlayer = (match) => match.players[match.activeIndex];
+
+export const awardPoints = (match, points) => ({
+  ...match,
+  players: match.players.map((player, i) => i === match.activeIndex
+    ? { ...player, score: player.score + points, answered: player.answered + 1 }
+    : player),
+});
+
+export const passTurn = (match) => {
+  const activeIndex = (match.activeIndex + 1) % match.players.length;
+  const round = activeIndex === 0 ? match.round + 1 : match.round;
+  return {
+    ...match,
+    activeIndex,
+    round: Math.min(round, match.rounds),
+    ended: round > match.rounds,
+  };
+};
+
+export const getStandings = (match) => [...match.players]
+  .sort((a, b) => b.score - a.score || b.answered - a.answered);
+
+export const getWinners = (match) => {
+  const standings = getStandings(match);
+  return standings.filter(player => player.score === standings[0].score);
+};
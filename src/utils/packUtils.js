@@ -0,0 +1,160 @@
+import { positions, packVersion } from '../constants/schema';
+import { defaultLocale } from '../constants/locales';
+import { hydrateQuiz } from './datasetUtils';
+import { translate } from './i18nUtils';
+import { validateData, validateQuiz, filterValidQuizzes, validationError } from './validationUtils';
+
+export const packsKey = 'lcs-lec-flag-quiz-packs';
+
+export const builtinPack = 'builtin';
+
+export const createPack = (name, id = `pack-${Date.now().toString(36)}`) => ({
+  version: packVersion,
+  id,
+  name,
+  players: {},
+  teams: {},
+  quizzes: [],
+});
+
+// Packs can use every built-in team and player as well as their own.
+export const getPackContext = (pack, base) => ({
+  players: positions.reduce((acc, position) => ({
+    ...acc,
+    [position]: { ...base.players[position], ...(pack.players[position] || {}) },
+  }), {}),
+  teams: { ...base.teams, ...pack.teams },
+});
+
+export const getPackQuizId = (pack, { team, year, split }) => `${pack.id}/${team.toLowerCase()}-${year}-${split}`;
+
+export const toPlayerKey = (ign) => ign.replace(/[^A-Za-z0-9]/g, '') || ign;
+
+export const buildPackDataset = (pack, base) => {
+  const context = getPackContext(pack, base);
+  const hydrated = pack.quizzes.map(quiz => hydrateQuiz(quiz, context));
+  return {
+    ...context,
+    quizzes: filterValidQuizzes(hydrated, context),
+    errors: validateData({ quizzes: hydrated, ...context }),
+  };
+};
+
+// Returns the pack with the roster added, or the validation errors that kept it out.
+export const addPackRoster = (pack, base, roster) => {
+  const context = getPackContext(pack, base);
+  const team = context.teams[roster.team];
+  const quiz = {
+    ...roster,
+    id: getPackQuizId(pack, roster),
+    region: team ? team.region : undefined,
+  };
+  const errors = validateQuiz(hydrateQuiz(quiz, context), context);
+  if (pack.quizzes.some(q => q.id === quiz.id)) {
+    errors.push(validationError('quiz', quiz.id, 'validation.inPack'));
+  }
+  return errors.length > 0 ? { pack, errors } : { pack: { ...pack, quizzes: [...pack.quizzes, quiz] }, errors };
+};
+
+export const removePackRoster = (pack, id) => ({ ...pack, quizzes: pack.quizzes.filter(q => q.id !== id) });
+
+export const addPackPlayer = (pack, base, { ign, position, nationality }) => {
+  if (!ign.trim() || !nationality) {
+    return { pack, errors: [validationError('player', position, 'validation.playerFields')] };
+  }
+  const key = toPlayerKey(ign.trim());
+  const context = getPackContext(pack, base);
+  if (context.players[position][key]) {
+    return { pack, errors: [validationError('player', key, 'validation.playerTaken', { position })] };
+  }
+  const player = { ign: [ign.trim()], position, nationality };
+  const next = { ...pack, players: { ...pack.players, [position]: { ...pack.players[position], [key]: player } } };
+  const errors = validateData({ quizzes: [], ...getPackContext(next, base) })
+    .filter(error => error.id === `${position}.${key}`);
+  return errors.length > 0 ? { pack, errors } : { pack: next, errors };
+};
+
+export const addPackTeam = (pack, base, { name, abbr, region }) => {
+  if (!name.trim() || !abbr.trim()) {
+    return { pack, errors: [validationError('team', abbr, 'validation.teamNeedsName')] };
+  }
+  const id = Object.keys(base.teams).includes(abbr) || pack.teams[abbr] ? `${abbr}${region}` : abbr;
+  const next = { ...pack, teams: { ...pack.teams, [id]: { id, name: [name.trim()], abbr, region } } };
+  const errors = validateData({ quizzes: [], ...getPackContext(next, base) })
+    .filter(error => error.id === id);
+  return errors.length > 0 ? { pack, errors } : { pack: next, errors };
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+// Entries the dataset code reads without checking: igns and names are matched and shown, abbreviations lower-cased.
+const isPackPlayer = (player) => isObject(player) && isStringList(player.ign) && typeof player.nationality === 'string';
+
+const isPackTeam = (team) => isObject(team) && isStringList(team.name) && typeof team.abbr === 'string';
+
+// Returns the message key of why a pack can't be used, or null. Checked before anything is saved,
+// since a malformed pack in storage would break every later page load.
+const getPackShapeError = (pack) => {
+  if (!isObject(pack) || pack.version !== packVersion) {
+    return 'packs.notPack';
+  }
+  if (typeof pack.id !== 'string' || typeof pack.name !== 'string' ||
+    !isObject(pack.players) || !isObject(pack.teams) || !Array.isArray(pack.quizzes)) {
+    return 'packs.missingFields';
+  }
+  if (positions.some(position => pack.players[position] !== undefined && !isObject(pack.players[position])) ||
+    Object.values(pack.teams).some(team => !isObject(team)) ||
+    pack.quizzes.some(quiz => !isObject(quiz) || !isObject(quiz.players))) {
+    return 'packs.malformed';
+  }
+  if (positions.some(position => Object.values(pack.players[position] || {}).some(player => !isPackPlayer(player))) ||
+    Object.values(pack.teams).some(team => !isPackTeam(team))) {
+    return 'packs.badEntries';
+  }
+  if (pack.quizzes.some(quiz => !String(quiz.id).startsWith(`${pack.id}/`))) {
+    return 'packs.otherPack';
+  }
+  return null;
+};
+
+export const parsePack = (text) => {
+  const pack = JSON.parse(text);
+  const key = getPackShapeError(pack);
+  if (key) {
+    const params = { version: packVersion };
+    throw Object.assign(new Error(translate(defaultLocale, key, params)), { key, params });
+  }
+  return pack;
+};
+
+export const serializePack = (pack) => JSON.stringify(pack, null, 2);
+
+export const upsertPack = (packs, pack) => (packs.some(p => p.id === pack.id)
+  ? packs.map(p => (p.id === pack.id ? pack : p))
+  : [...packs, pack]);
+
+// Parses an exported pack and builds it before it joins the saved packs, so nothing is saved if either step throws.
+export const importPack = (packs, base, text) => {
+  const pack = parsePack(text);
+  const dataset = buildPackDataset(pack, base);
+  return { packs: upsertPack(packs, pack), pack, dataset, replaced: packs.some(p => p.id === pack.id) };
+};
+
+export const loadPacks = (storage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(packsKey));
+    return Array.isArray(saved) ? saved.filter(pack => getPackShapeError(pack) === null) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const savePacks = (storage, packs) => {
+  try {
+    storage.setItem(packsKey, JSON.stringify(packs));
+  } catch (e) {
+    // Same as progress: packs just won't survive a reload, but can still be exported.
+  }
+};
@@ -0,0 +1,24 @@
+import { leagues } from '../constants/leagues';
+
+export const getYears = (quizzes) => [...new Set(quizzes.map(q => q.year))].sort();
+
+export const getLeagues = (quizzes) => Object.keys(leagues)
+  .filter(league => quizzes.some(q => q.league === league));
+
+export const matchesFilter = (quiz, filter) => {
+  if (filter.league !== 'ALL' && quiz.league !== filter.league) {
+    return false;
+  }
+  return quiz.year >= filter.yearFrom && quiz.year <= filter.yearTo;
+};
+
+// The settings that decide which rosters are in the pool, as one string that only changes when they do.
+export const getFilterKey = ({ pack, league, yearFrom, yearTo }) => [pack, league, yearFrom, yearTo].join('/');
+
+export const createPool = (quizzes, filter) => quizzes
+  .filter(q => matchesFilter(q, filter))
+  .map(q => q.id);
+
+export const getQuizById = (quizzes, id) => quizzes.find(q => q.id === id);
+
+export const getRemainingPool = (pool, answeredPool) => pool.filter(id => !answeredPool.includes(id));
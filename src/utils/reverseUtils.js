@@ -0,0 +1,20 @@
+import { playerParts } from '../constants/score';
+import { isSameTeam } from './teamUtils';
+import { matchResult } from './matchUtils';
+
+// Reverse mode shows the team and year and asks for the five players.
+export const reverseParts = Object.keys(playerParts);
+
+// Every roster the shown team and year could stand for (e.g. both splits of a season), the quiz itself first.
+export const getReverseCandidates = (quizzes, quiz) => [
+  quiz,
+  ...quizzes.filter(other => other !== quiz && isSameTeam(other.team, quiz.team) && other.year === quiz.year),
+];
+
+// Checks a picked flag against the candidates the way checkCandidates checks a typed name.
+export const checkFlagCandidates = (candidates, part, code) => {
+  const matching = candidates.filter(quiz => quiz.players[playerParts[part]].nationality === code);
+  return matching.length > 0
+    ? { result: matchResult.correct, candidates: matching }
+    : { result: matchResult.wrong, candidates };
+};
@@ -0,0 +1,33 @@
+import { reviewIntervals, dayMs } from '../constants/review';
+import { isRosterMissed, summarizeRoster } from './scoreUtils';
+
+// The queue maps quiz ids to `{ misses, box, dueAt }`. A miss puts the roster
+// back in box 0, due straight away; each clean answer moves it up a box, due
+// after that box's interval, until it leaves the queue.
+export const updateReviewQueue = (queue, roster, now) => {
+  const entry = queue[roster.quizId];
+  if (isRosterMissed(roster)) {
+    return {
+      ...queue,
+      [roster.quizId]: { misses: (entry ? entry.misses : 0) + 1, box: 0, dueAt: now },
+    };
+  }
+  // Answered with hints: it stays where it was, due as before.
+  if (!entry || summarizeRoster(roster).hinted > 0) {
+    return queue;
+  }
+  const box = entry.box + 1;
+  if (box > reviewIntervals.length) {
+    const { [roster.quizId]: retired, ...rest } = queue;
+    return rest;
+  }
+  return {
+    ...queue,
+    [roster.quizId]: { ...entry, box, dueAt: now + reviewIntervals[box - 1] * dayMs },
+  };
+};
+
+// Due rosters, the most often missed first.
+export const getDueReviewIds = (queue, now) => Object.keys(queue)
+  .filter(id => queue[id].dueAt <= now)
+  .sort((a, b) => queue[b].misses - queue[a].misses || queue[a].dueAt - queue[b].dueAt);
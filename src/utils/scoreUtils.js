@@ -0,0 +1,125 @@
+import {
+  partPoints,
+  parts,
+  optionalParts,
+  partOutcome,
+  streakBonusFrom,
+  streakBonus,
+  hintCost,
+} from '../constants/score';
+
+export const createSession = () => ({
+  rosters: [],
+  score: 0,
+  streak: 0,
+  bestStreak: 0,
+});
+
+export const getQuizParts = (options = {}) => parts.filter(part => !optionalParts.includes(part) || options[part]);
+
+export const createRosterResult = (quizId, rosterParts = getQuizParts()) => ({
+  quizId,
+  parts: rosterParts.reduce((acc, part) => ({ ...acc, [part]: { outcome: null, points: 0, hints: 0 } }), {}),
+  score: 0,
+});
+
+export const startRoster = (session, quizId, rosterParts) => ({
+  ...session,
+  rosters: [...session.rosters, createRosterResult(quizId, rosterParts)],
+});
+
+export const getCurrentRoster = (session) => session.rosters[session.rosters.length - 1];
+
+export const isRosterFinished = (roster) => Object.values(roster.parts).every(part => part.outcome !== null);
+
+const isPartOpen = (roster, part) => Boolean(roster && roster.parts[part] && roster.parts[part].outcome === null);
+
+const updateCurrentRoster = (session, roster) => ({
+  ...session,
+  rosters: [...session.rosters.slice(0, -1), roster],
+});
+
+export const useHint = (session, part) => {
+  const roster = getCurrentRoster(session);
+  if (!isPartOpen(roster, part)) {
+    return session;
+  }
+  return updateCurrentRoster(session, {
+    ...roster,
+    parts: { ...roster.parts, [part]: { ...roster.parts[part], hints: roster.parts[part].hints + 1 } },
+  });
+};
+
+export const recordPart = (session, part, outcome) => {
+  const roster = getCurrentRoster(session);
+  if (!isPartOpen(roster, part)) {
+    return session;
+  }
+
+  const isAnswered = outcome === partOutcome.answered;
+  const streak = isAnswered ? session.streak + 1 : 0;
+  const hints = roster.parts[part].hints;
+  const points = (isAnswered ? partPoints[part] + (streak >= streakBonusFrom ? streakBonus : 0) : 0)
+    - hints * hintCost;
+  const updatedRoster = {
+    ...roster,
+    parts: { ...roster.parts, [part]: { outcome, points, hints } },
+    score: roster.score + points,
+  };
+
+  return {
+    ...updateCurrentRoster(session, updatedRoster),
+    score: session.score + points,
+    streak,
+    bestStreak: Math.max(session.bestStreak, streak),
+  };
+};
+
+export const summarizeRoster = (roster) => {
+  const rosterParts = Object.keys(roster.parts);
+  const outcomes = rosterParts.map(part => roster.parts[part].outcome);
+  return {
+    parts: rosterParts.length,
+    answered: outcomes.filter(o => o === partOutcome.answered).length,
+    skipped: outcomes.filter(o => o === partOutcome.skipped).length,
+    revealed: outcomes.filter(o => o === partOutcome.revealed).length,
+    hinted: rosterParts.filter(part => roster.parts[part].hints > 0).length,
+    score: roster.score,
+    maxScore: rosterParts.reduce((acc, part) => acc + partPoints[part], 0),
+  };
+};
+
+export const summarizeSession = (session) => {
+  const finished = session.rosters.filter(isRosterFinished);
+  const rosterSummaries = finished.map(summarizeRoster);
+  const total = (key) => rosterSummaries.reduce((acc, s) => acc + s[key], 0);
+  const answered = total('answered');
+  const partCount = total('parts');
+
+  return {
+    rosters: finished.length,
+    perfectRosters: rosterSummaries.filter(s => s.answered === s.parts).length,
+    answered,
+    skipped: total('skipped'),
+    revealed: total('revealed'),
+    hinted: total('hinted'),
+    accuracy: partCount === 0 ? 0 : answered / partCount,
+    score: session.rosters.reduce((acc, roster) => acc + roster.score, 0),
+    bestStreak: session.bestStreak,
+  };
+};
+
+// A roster is missed when any of its parts was skipped or revealed; hints alone don't count.
+export const isRosterMissed = (roster) => {
+  const summary = summarizeRoster(roster);
+  return summary.answered < summary.parts;
+};
+
+export const getMissedQuizIds = (session) => {
+  const latestByQuizId = session.rosters
+    .filter(isRosterFinished)
+    .reduce((acc, roster) => ({ ...acc, [roster.quizId]: roster }), {});
+  return Object.values(latestByQuizId)
+    .filter(isRosterMissed)
+    .map(roster => roster.quizId);
+};
@@ -0,0 +1,35 @@
+import { shortcutAction } from '../constants/shortcuts';
+
+const isTextField = (target) => Boolean(target) &&
+  (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || Boolean(target.isContentEditable));
+
+// The answer box is marked so that Tab and Esc skip from there without hijacking other fields.
+export const isAnswerInput = (target) => Boolean(target && target.dataset && 'answerInput' in target.dataset);
+
+// Maps a keydown event to a quiz action. Plain letters only count outside text fields, where they aren't typing.
+export const getShortcutAction = (event) => {
+  const inAnswer = isAnswerInput(event.target);
+  const typing = isTextField(event.target);
+  if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+    return shortcutAction.nextQuiz;
+  }
+  if (event.key === 'Escape' && (inAnswer || !typing)) {
+    return shortcutAction.skipPart;
+  }
+  if (event.key === 'Tab' && !event.shiftKey && inAnswer) {
+    return shortcutAction.skipPart;
+  }
+  if (event.altKey && event.code === 'KeyH') {
+    return shortcutAction.hint;
+  }
+  if (typing || event.ctrlKey || event.metaKey || event.altKey) {
+    return null;
+  }
+  if (event.key === 'h' || event.key === 'H') {
+    return shortcutAction.hint;
+  }
+  if (event.key === '?') {
+    return shortcutAction.help;
+  }
+  return null;
+};
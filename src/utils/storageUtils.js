@@ -0,0 +1,143 @@
+import { parts, partOutcome } from '../constants/score';
+import { createSession, isRosterFinished, summarizeRoster } from './scoreUtils';
+import { updateReviewQueue } from './reviewUtils';
+
+export const storageKey = 'lcs-lec-flag-quiz';
+export const schemaVersion = 5;
+
+// Only the latest rosters of the session are saved, enough to resume a run and replay its misses.
+// The lifetime stats are kept per roster and per part, so the history needn't grow with them.
+export const maxSavedRosters = 200;
+
+const createPartStat = () => ({ answered: 0, skipped: 0, revealed: 0 });
+
+const createPartStats = () => parts.reduce((acc, part) => ({ ...acc, [part]: createPartStat() }), {});
+
+// Each migration upgrades saved data from version `n` to `n + 1`.
+const migrations = {
+  // v2 made the split an answerable part.
+  1: (progress) => ({ ...progress, parts: { ...progress.parts, split: createPartStat() } }),
+  // v3 started counting hints taken on every part.
+  2: (progress) => ({
+    ...progress,
+    session: {
+      ...progress.session,
+      rosters: progress.session.rosters.map(roster => ({
+        ...roster,
+        parts: Object.keys(roster.parts).reduce((acc, part) => ({
+          ...acc,
+          [part]: { hints: 0, ...roster.parts[part] },
+        }), {}),
+      })),
+    },
+  }),
+  // v4 added the daily challenge results, keyed by date.
+  3: (progress) => ({ ...progress, daily: {} }),
+  // v5 started queueing missed rosters for review.
+  4: (progress) => ({ ...progress, review: {} }),
+};
+
+export const createProgress = () => ({
+  version: schemaVersion,
+  seen: [],
+  session: createSession(),
+  rosters: {},
+  parts: createPartStats(),
+  bestStreak: 0,
+  daily: {},
+  review: {},
+});
+
+export const migrateProgress = (saved) => {
+  if (!saved || typeof saved.version !== 'number' || saved.version > schemaVersion) {
+    return createProgress();
+  }
+  let progress = saved;
+  while (progress.version < schemaVersion) {
+    const migrate = migrations[progress.version];
+    if (!migrate) {
+      return createProgress();
+    }
+    progress = { ...migrate(progress), version: progress.version + 1 };
+  }
+  return progress;
+};
+
+// Drop everything that refers to rosters no longer in the data, and the
+// roster that was still being played when the page was closed.
+export const pruneProgress = (progress, knownIds) => {
+  const defaults = createProgress();
+  const sessionRosters = progress.session && progress.session.rosters || [];
+  const unfinished = sessionRosters.filter(r => !isRosterFinished(r)).map(r => r.quizId);
+  const rosters = sessionRosters.filter(r => knownIds.includes(r.quizId) && isRosterFinished(r));
+  const seen = (progress.seen || []).filter(id => knownIds.includes(id) && !unfinished.includes(id));
+  const rosterStats = Object.keys(progress.rosters || {})
+    .filter(id => knownIds.includes(id))
+    .reduce((acc, id) => ({ ...acc, [id]: progress.rosters[id] }), {});
+  const review = Object.keys(progress.review || {})
+    .filter(id => knownIds.includes(id))
+    .reduce((acc, id) => ({ ...acc, [id]: progress.review[id] }), {});
+
+  return {
+    ...defaults,
+    ...progress,
+    seen,
+    session: { ...defaults.session, ...progress.session, rosters },
+    rosters: rosterStats,
+    parts: { ...defaults.parts, ...progress.parts },
+    review,
+  };
+};
+
+export const loadProgress = (storage, knownIds) => {
+  try {
+    const saved = JSON.parse(storage.getItem(storageKey));
+    return pruneProgress(migrateProgress(saved), knownIds);
+  } catch (e) {
+    return createProgress();
+  }
+};
+
+export const saveProgress = (storage, progress) => {
+  try {
+    const rosters = progress.session.rosters.slice(-maxSavedRosters);
+    storage.setItem(storageKey, JSON.stringify({ ...progress, session: { ...progress.session, rosters } }));
+  } catch (e) {
+    // Storage can be full or disabled (e.g. private browsing); progress just won't survive a reload.
+  }
+};
+
+export const recordRosterProgress = (progress, roster) => {
+  const previous = progress.rosters[roster.quizId] || { played: 0, perfect: 0 };
+  const summary = summarizeRoster(roster);
+  const now = Date.now();
+  const rosterParts = Object.keys(roster.parts);
+  const partStats = rosterParts.reduce((acc, part) => {
+    const outcome = roster.parts[part].outcome;
+    return {
+      ...acc,
+      [part]: { ...progress.parts[part], [outcome]: progress.parts[part][outcome] + 1 },
+    };
+  }, progress.parts);
+
+  return {
+    ...progress,
+    rosters: {
+      ...progress.rosters,
+      [roster.quizId]: {
+        played: previous.played + 1,
+        perfect: previous.perfect + (summary.answered === summary.parts ? 1 : 0),
+        lastOutcome: rosterParts.reduce((acc, part) => ({ ...acc, [part]: roster.parts[part].outcome }), {}),
+        lastPlayedAt: now,
+      },
+    },
+    parts: partStats,
+    review: updateReviewQueue(progress.review, roster, now),
+  };
+};
+
+export const getPartAccuracy = (progress) => parts.reduce((acc, part) => {
+  const stats = progress.parts[part];
+  const total = stats[partOutcome.answered] + stats[partOutcome.skipped] + stats[partOutcome.revealed];
+  return { ...acc, [part]: total === 0 ? null : stats[partOutcome.answered] / total };
+}, {});
@@ -2,5 +2,16 @@ export const generalizeName = (rawName) => {
   if (!rawName) {
     return '';
   }
-  return rawName.replace(' ', '').toLowerCase();  
+  return rawName.replace(/\s/g, '').toLowerCase();
+};
+
+const splitAliases = {
+  spring: ['spring', 'spr'],
+  summer: ['summer', 'sum'],
+  worlds: ['worlds', 'world', 'wc'],
+};
+
+export const generalizeSplit = (rawSplit) => {
+  const name = generalizeName(rawSplit);
+  return Object.keys(splitAliases).find(split => splitAliases[split].includes(name)) || '';
 };
@@ -0,0 +1,23 @@
+import { leagues } from '../constants/leagues';
+
+// Abbreviations are only unique within a region, so teams are compared by id.
+export const isSameTeam = (a, b) => a.id === b.id;
+
+export const findTeamRosters = (quizzes, team) => quizzes
+  .filter(q => isSameTeam(q.team, team));
+
+// The domestic league a team is quizzed in, for rosters from international events.
+export const getHomeLeague = (quizzes, team) => {
+  const roster = findTeamRosters(quizzes, team).find(q => leagues[q.league].region);
+  return roster ? roster.league : null;
+};
+
+export const getRosterLeague = (quizzes, quiz) => (leagues[quiz.league].region
+  ? quiz.league
+  : getHomeLeague(quizzes, quiz.team));
+
+export const getTeamLabel = (quizzes, quiz) => {
+  const clashes = quizzes.some(q => q.team.abbr === quiz.team.abbr && !isSameTeam(q.team, quiz.team));
+  const league = getRosterLeague(quizzes, quiz);
+  return clashes && league ? `${quiz.team.abbr} (${leagues[league].name})` : quiz.team.abbr;
+};
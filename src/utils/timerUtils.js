@@ -0,0 +1,23 @@
+export const createCountdown = (seconds, { onTick, onEnd }) => {
+  const endsAt = Date.now() + seconds * 1000;
+  const getSecondsLeft = () => Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+  let interval;
+
+  const stop = () => {
+    clearInterval(interval);
+  };
+
+  onTick(getSecondsLeft());
+  interval = setInterval(() => {
+    const secondsLeft = getSecondsLeft();
+    onTick(secondsLeft);
+    if (secondsLeft === 0) {
+      stop();
+      onEnd();
+    }
+  }, 250);
+
+  return { stop };
+};
+
+export const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
@@ -0,0 +1,68 @@
+import { gameMode } from '../constants/modes';
+import { blitzPresets } from '../constants/blitz';
+import { leagues } from '../constants/leagues';
+import { yearRange } from '../constants/schema';
+
+const isYear = (value) => /^\d{4}$/.test(value) && Number(value) >= yearRange.from && Number(value) <= yearRange.to;
+
+// Old links filtered by region; map it to that region's main league.
+const getRegionLeague = (region) => region && Object.keys(leagues)
+  .find(league => leagues[league].region === region && !leagues[league].erl);
+
+// Reads the settings a challenge link carries. Unknown or invalid values are left out.
+export const parseChallenge = (search) => {
+  const params = new URLSearchParams(search);
+  const seed = params.get('seed');
+  if (!seed || !/^[\w-]{1,32}$/.test(seed)) {
+    return null;
+  }
+  const challenge = { seed };
+  const mode = params.get('mode');
+  if (Object.values(gameMode).includes(mode)) {
+    challenge.mode = mode;
+  }
+  const clock = Number(params.get('clock'));
+  if (params.has('clock') && Number.isInteger(clock) && blitzPresets[clock]) {
+    challenge.blitzPreset = clock;
+  }
+  const league = params.get('league') || getRegionLeague(params.get('region'));
+  if (league === 'ALL' || leagues[league]) {
+    challenge.league = league;
+  }
+  if (isYear(params.get('from'))) {
+    challenge.yearFrom = params.get('from');
+  }
+  if (isYear(params.get('to'))) {
+    challenge.yearTo = params.get('to');
+  }
+  if (params.has('split')) {
+    challenge.askSplit = params.get('split') === '1';
+  }
+  if (params.has('choices')) {
+    challenge.multipleChoice = params.get('choices') === '1';
+  }
+  const typos = Number(params.get('typos'));
+  if (params.has('typos') && [0, 1, 2].includes(typos)) {
+    challenge.typoTolerance = typos;
+  }
+  return challenge;
+};
+
+export const createChallengeUrl = (baseUrl, settings) => {
+  const params = new URLSearchParams({
+    seed: settings.seed,
+    mode: settings.mode,
+    league: settings.league,
+    from: settings.yearFrom,
+    to: settings.yearTo,
+  });
+  if (settings.mode === gameMode.blitz) {
+    params.set('clock', settings.blitzPreset);
+  }
+  params.set('split', settings.askSplit ? '1' : '0');
+  params.set('typos', settings.typoTolerance);
+  if (settings.multipleChoice) {
+    params.set('choices', '1');
+  }
+  return `${baseUrl}?${params}`;
+};
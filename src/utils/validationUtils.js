@@ -0,0 +1,164 @@
+import { positions, regions, splits, yearRange } from '../constants/schema';
+import { leagues } from '../constants/leagues';
+import { defaultLocale } from '../constants/locales';
+import { normalizeAnswer } from './matchUtils';
+import { translate } from './i18nUtils';
+
+// key and params let the pack editor show the error in the player's language; message is
+// the English text logged to the console.
+export const validationError = (type, id, key, params = {}) => {
+  const values = { id, ...params };
+  return { type, id, key, params: values, message: translate(defaultLocale, key, values) };
+};
+
+const validatePlayers = (players, flagCodes) => {
+  const errors = [];
+  const aliasOwners = {};
+
+  positions.forEach(position => {
+    if (!players[position]) {
+      errors.push(validationError('position', position, 'validation.noPlayers', { position }));
+      return;
+    }
+    Object.keys(players[position]).forEach(key => {
+      const player = players[position][key];
+      const id = `${position}.${key}`;
+      if (!player || !Array.isArray(player.ign) || player.ign.length === 0) {
+        errors.push(validationError('player', id, 'validation.noIgn'));
+        return;
+      }
+      if (player.ign.some(ign => typeof ign !== 'string')) {
+        errors.push(validationError('player', id, 'validation.ignNotText'));
+        return;
+      }
+      if (player.position !== position) {
+        errors.push(validationError('position', id, 'validation.wrongPosition', { position, actual: player.position }));
+      }
+      if (typeof player.nationality !== 'string') {
+        errors.push(validationError('flag', id, 'validation.noNationality'));
+      } else if (flagCodes && !flagCodes.includes(player.nationality)) {
+        errors.push(validationError('flag', id, 'validation.noFlag', { nationality: player.nationality }));
+      }
+      // Role-swapped players are listed once per position under the same key.
+      [...new Set(player.ign.map(normalizeAnswer))].forEach(alias => {
+        const owner = aliasOwners[alias];
+        if (owner && owner.key !== key) {
+          errors.push(validationError('alias', id, 'validation.sharedAlias', { alias, owner: owner.id }));
+        } else if (!owner) {
+          aliasOwners[alias] = { key, id };
+        }
+      });
+    });
+  });
+  return errors;
+};
+
+const validateTeams = (teams) => {
+  const errors = [];
+  const abbrOwners = {};
+
+  Object.keys(teams).forEach(key => {
+    const team = teams[key];
+    if (!team || !Array.isArray(team.name) || team.name.length === 0 || team.name.some(name => typeof name !== 'string' || !name.trim())) {
+      errors.push(validationError('team', key, 'validation.teamNoName'));
+      return;
+    }
+    if (team.id !== key || typeof team.abbr !== 'string' || !team.abbr || !regions.includes(team.region)) {
+      errors.push(validationError('team', key, 'validation.teamFields', {
+        teamId: team.id,
+        abbr: team.abbr,
+        region: team.region,
+      }));
+      return;
+    }
+    // The same abbreviation may be used in different regions, never twice in one.
+    const abbr = `${team.region}.${team.abbr.toLowerCase()}`;
+    if (abbrOwners[abbr]) {
+      errors.push(validationError('team', key, 'validation.sharedAbbr', {
+        abbr: team.abbr,
+        owner: abbrOwners[abbr],
+        region: team.region,
+      }));
+    } else {
+      abbrOwners[abbr] = key;
+    }
+  });
+  return errors;
+};
+
+export const validateQuiz = (quiz, { players, teams }) => {
+  const errors = [];
+  const id = quiz.id || '(no id)';
+  const knownPlayers = positions.reduce((acc, position) => [...acc, ...Object.values(players[position] || {})], []);
+
+  if (!quiz.id) {
+    errors.push(validationError('quiz', id, 'validation.quizNoId'));
+  }
+  if (!quiz.team || !Object.values(teams).includes(quiz.team)) {
+    errors.push(validationError('reference', id, 'validation.unknownTeam'));
+  } else if (quiz.team.region !== quiz.region) {
+    errors.push(validationError('region', id, 'validation.teamRegion', {
+      region: quiz.region,
+      abbr: quiz.team.abbr,
+      teamRegion: quiz.team.region,
+    }));
+  }
+  if (!regions.includes(quiz.region)) {
+    errors.push(validationError('region', id, 'validation.unknownRegion', { region: quiz.region }));
+  }
+  if (!leagues[quiz.league]) {
+    errors.push(validationError('league', id, 'validation.unknownLeague', { league: quiz.league }));
+  } else if (leagues[quiz.league].region && leagues[quiz.league].region !== quiz.region) {
+    errors.push(validationError('league', id, 'validation.leagueRegion', {
+      region: quiz.region,
+      league: quiz.league,
+      leagueRegion: leagues[quiz.league].region,
+    }));
+  }
+  if (!splits.includes(quiz.split)) {
+    errors.push(validationError('split', id, 'validation.unknownSplit', { split: quiz.split }));
+  }
+  // Years are matched as text, so a numeric year could never be answered.
+  if (typeof quiz.year !== 'string' || !/^\d{4}$/.test(quiz.year) ||
+    Number(quiz.year) < yearRange.from || Number(quiz.year) > yearRange.to) {
+    errors.push(validationError('year', id, 'validation.year', {
+      year: quiz.year,
+      from: yearRange.from,
+      to: yearRange.to,
+    }));
+  }
+  positions.forEach(position => {
+    const player = quiz.players && quiz.players[position];
+    if (!player || !knownPlayers.includes(player)) {
+      errors.push(validationError('reference', id, 'validation.unknownPlayer', { position }));
+    } else if (player.position !== position) {
+      errors.push(validationError('position', id, 'validation.placedPlayer', {
+        player: player.ign[0],
+        actual: player.position,
+        position,
+      }));
+    }
+  });
+  return errors;
+};
+
+export const validateData = ({ quizzes, players, teams }, { flagCodes } = {}) => {
+  const seenIds = {};
+  const quizErrors = quizzes.reduce((acc, quiz) => {
+    const errors = validateQuiz(quiz, { players, teams });
+    if (quiz.id && seenIds[quiz.id]) {
+      errors.push(validationError('quiz', quiz.id, 'validation.duplicateQuiz'));
+    }
+    seenIds[quiz.id] = true;
+    return [...acc, ...errors];
+  }, []);
+
+  return [
+    ...validatePlayers(players, flagCodes),
+    ...validateTeams(teams),
+    ...quizErrors,
+  ];
+};
+
+export const filterValidQuizzes = (quizzes, context) => quizzes
+  .filter(quiz => validateQuiz(quiz, context).length === 0);
@@ -0,0 +1,63 @@
+const { data, allQuizzes } = require("./dataset");
+const {
+  getFlagLineup,
+  findCollisions,
+  analyzeAmbiguity,
+  formatAmbiguityReport,
+} = require("../src/utils/ambiguityUtils");
+
+const withPlayers = (quiz, overrides) => ({
+  ...quiz,
+  players: { ...quiz.players, ...overrides },
+});
+
+describe("ambiguityUtils", () => {
+  test("has no quizzes whose flags match another roster", () => {
+    expect(formatAmbiguityReport(analyzeAmbiguity(data))).toBe("");
+  });
+
+  // Lineups kept unchanged from a split to Worlds can only differ by the split, where either answer is accepted.
+  test("tells every league roster apart once team and year are revealed, but for the split of kept lineups", () => {
+    const report = analyzeAmbiguity(allQuizzes, { withTeam: true, withYear: true });
+    expect(report.map((entry) => entry.id).sort())
+      .toEqual(["g2-2019-spring", "g2-2019-worlds", "skt-2015-summer", "skt-2015-worlds"]);
+    report.forEach((entry) => {
+      expect(entry.collisions.map((c) => c.differingParts)).toEqual([["split"]]);
+    });
+  });
+
+  test("builds the lineup in TOP/JG/MID/BOT/SPT order", () => {
+    const quiz = data.find((q) => q.id === "tsm-2016-spring");
+    expect(getFlagLineup(quiz)).toBe("US-DK-DK-US-FR");
+  });
+
+  test("lists colliding rosters and the parts that differ", () => {
+    const [a, b] = data;
+    const clone = { ...withPlayers(b, a.players), split: a.split, id: "clone" };
+    const report = analyzeAmbiguity([a, clone]);
+    expect(report.map((r) => r.id)).toEqual([a.id, "clone"]);
+    expect(report[0].collisions[0].differingParts).toEqual(["year"]);
+    expect(formatAmbiguityReport(report)).toContain(`${a.id} (${getFlagLineup(a)}) collides with clone [year]`);
+  });
+
+  test("counts the split among the parts that differ", () => {
+    const [a] = data;
+    const worlds = { ...a, split: "worlds", id: "worlds" };
+    expect(analyzeAmbiguity([a, worlds])[0].collisions).toEqual([{ id: "worlds", differingParts: ["split"] }]);
+  });
+
+  test("ignores collisions that the revealed team or year rule out", () => {
+    const tsm = data.find((q) => q.id === "tsm-2013-spring");
+    const fnc = data.find((q) => q.id === "fnc-2015-spring");
+    const lookalike = { ...withPlayers(fnc, tsm.players), id: "lookalike" };
+    const quizzes = [tsm, lookalike];
+    expect(findCollisions(quizzes, tsm)).toEqual([lookalike]);
+    expect(findCollisions(quizzes, tsm, { withTeam: true })).toEqual([]);
+    expect(findCollisions(quizzes, tsm, { withYear: true })).toEqual([]);
+  });
+
+  test("does not count identical rosters as ambiguous", () => {
+    const [a] = data;
+    expect(findCollisions([a, { ...a, id: "copy" }], a)).toEqual([]);
+  });
+});
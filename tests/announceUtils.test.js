@@ -0,0 +1,69 @@
+const { allQuizzes } = require("./dataset");
+const { createGame, updateGame } = require("../src/utils/gameUtils");
+const {
+  describeGameChange,
+  describeCareerPlayer,
+  describeCareerAnswer,
+  describeCareerReveal,
+} = require("../src/utils/announceUtils");
+const { matchResult } = require("../src/utils/matchUtils");
+const { getQuizParts } = require("../src/utils/scoreUtils");
+const { gameEvent } = require("../src/constants/game");
+const { translate } = require("../src/utils/i18nUtils");
+
+const tsm2016 = allQuizzes.find((q) => q.id === "tsm-2016-spring");
+const loaded = updateGame(createGame(), {
+  type: gameEvent.load,
+  quizId: tsm2016.id,
+  candidates: [tsm2016],
+  parts: getQuizParts(),
+});
+const t = (key, params) => translate("en", key, params);
+const submit = (game, value) => updateGame(updateGame(game, { type: gameEvent.input, value }), { type: gameEvent.submit, tolerance: 1 });
+
+describe("announceUtils", () => {
+  test("announces a new roster and its first question", () => {
+    expect(describeGameChange(createGame(), loaded, t)).toBe("New roster. Team?");
+  });
+
+  test("announces answers with the next question", () => {
+    expect(describeGameChange(loaded, submit(loaded, "tsm"), t)).toBe("Correct. Team: Team Solo Mid. Year?");
+  });
+
+  test("announces every wrong answer, even repeated ones", () => {
+    const wrong = submit(loaded, "fnatic");
+    expect(describeGameChange(loaded, wrong, t)).toBe("Incorrect.");
+    expect(describeGameChange(wrong, submit(wrong, "fnatic"), t)).toBe("Incorrect.");
+  });
+
+  test("stays quiet while typing", () => {
+    expect(describeGameChange(loaded, updateGame(loaded, { type: gameEvent.input, value: "ts" }), t)).toBe("");
+  });
+
+  test("gives the answer of a skipped part", () => {
+    const skipped = updateGame(loaded, { type: gameEvent.skipPart });
+    expect(describeGameChange(loaded, skipped, t)).toBe("Skipped. Team: Team Solo Mid. Year?");
+  });
+
+  test("reads out the whole roster when revealed", () => {
+    const revealed = updateGame(loaded, { type: gameEvent.skipQuiz });
+    const text = describeGameChange(loaded, revealed, t);
+    expect(text).toMatch(/^Revealed\. Team: Team Solo Mid, Year: 2016, Top: /);
+    expect(text).toContain("Mid: Bjergsen");
+  });
+
+  test("speaks the player's language", () => {
+    const ja = (key, params) => translate("ja", key, params);
+    expect(describeGameChange(createGame(), loaded, ja)).toBe("新しいロスター。 チームは?");
+  });
+
+  test("announces the steps of career mode", () => {
+    expect(describeCareerPlayer(t, "Bjergsen")).toBe("New player: Bjergsen. Team and year?");
+    expect(describeCareerAnswer(t, matchResult.close, {})).toBe("Close, but not quite.");
+    expect(describeCareerAnswer(t, matchResult.correct, { label: "TSM 2014", found: 1, total: 3 }))
+      .toBe("Correct. TSM 2014. 1 of 3 teams and years found");
+    expect(describeCareerAnswer(t, matchResult.correct, { label: "TSM 2016", found: 3, total: 3 }))
+      .toBe("Correct. TSM 2016. Career complete.");
+    expect(describeCareerReveal(t, ["TSM 2014", "TSM 2016"])).toBe("Revealed. TSM 2014, TSM 2016.");
+  });
+});
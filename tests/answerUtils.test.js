@@ -0,0 +1,43 @@
+const { data } = require("./dataset");
+const { getPartAnswers, checkPartAnswer, checkCandidates } = require("../src/utils/answerUtils");
+const { getCandidates } = require("../src/utils/ambiguityUtils");
+const { matchResult } = require("../src/utils/matchUtils");
+
+const tsm2016 = data.find((q) => q.id === "tsm-2016-spring");
+const tsm2020 = data.find((q) => q.id === "tsm-2020-summer");
+const lookalike = { ...tsm2020, id: "lookalike", players: tsm2016.players };
+
+describe("answerUtils", () => {
+  test("lists accepted answers per part", () => {
+    expect(getPartAnswers(tsm2016, "team")).toEqual(["Team Solo Mid", "TSM"]);
+    expect(getPartAnswers(tsm2016, "year")).toEqual(["2016"]);
+    expect(getPartAnswers(tsm2016, "mid")).toEqual(["Bjergsen"]);
+  });
+
+  test("checks years and splits exactly and names fuzzily", () => {
+    expect(checkPartAnswer(tsm2016, "year", " 2016", 0)).toBe(matchResult.correct);
+    expect(checkPartAnswer(tsm2016, "split", "spr", 0)).toBe(matchResult.correct);
+    expect(checkPartAnswer(tsm2016, "mid", "Bjergson", 1)).toBe(matchResult.correct);
+  });
+
+  test("accepts an answer that fits any candidate and narrows to it", () => {
+    const candidates = getCandidates([tsm2016, lookalike], tsm2016);
+    expect(candidates).toEqual([tsm2016, lookalike]);
+
+    const team = checkCandidates(candidates, "team", "tsm", 0);
+    expect(team).toEqual({ result: matchResult.correct, candidates });
+
+    const year = checkCandidates(team.candidates, "year", "2020", 0);
+    expect(year).toEqual({ result: matchResult.correct, candidates: [lookalike] });
+
+    expect(checkCandidates(year.candidates, "year", "2016", 0).result).toBe(matchResult.wrong);
+  });
+
+  test("keeps the candidates when the answer is wrong or only close", () => {
+    const candidates = [tsm2016, lookalike];
+    expect(checkCandidates(candidates, "mid", "Bjergson", 0)).toEqual({
+      result: matchResult.close,
+      candidates,
+    });
+  });
+});
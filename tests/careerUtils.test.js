@@ -0,0 +1,46 @@
+const { allQuizzes } = require("./dataset");
+const { matchResult } = require("../src/utils/matchUtils");
+const {
+  getPlayerKey,
+  getCareerPlayers,
+  getCareer,
+  parseCareerAnswer,
+  checkCareerAnswer,
+} = require("../src/utils/careerUtils");
+
+const perkz = getCareerPlayers(allQuizzes).perkz;
+
+describe("careerUtils", () => {
+  test("lists every player once, role swaps included", () => {
+    const players = getCareerPlayers(allQuizzes);
+    expect(perkz.position).toBe("MID");
+    Object.keys(players).forEach((key) => expect(getPlayerKey(players[key])).toBe(key));
+  });
+
+  test("groups a career by team and year in chronological order", () => {
+    const career = getCareer(allQuizzes, perkz);
+    expect(career.map((entry) => entry.id)).toEqual(["G2-2016", "G2-2018", "G2-2019", "C9-2021"]);
+    expect(career[2].splits).toEqual(["spring", "worlds"]);
+  });
+
+  test("parses team and year answers", () => {
+    expect(parseCareerAnswer("G2 2019")).toEqual({ team: "G2", year: "2019" });
+    expect(parseCareerAnswer("Cloud9, '21")).toEqual({ team: "Cloud9", year: "2021" });
+    expect(parseCareerAnswer("100 Thieves 2019")).toEqual({ team: "100 Thieves", year: "2019" });
+    expect(parseCareerAnswer("2019")).toBeNull();
+    expect(parseCareerAnswer("G2")).toBeNull();
+  });
+
+  test("accepts a team and year from the career", () => {
+    const career = getCareer(allQuizzes, perkz);
+    const checked = checkCareerAnswer(career, "g2 esports 2018", 1);
+    expect(checked.result).toBe(matchResult.correct);
+    expect(checked.entry.id).toBe("G2-2018");
+  });
+
+  test("tells the right team in the wrong year from a wrong answer", () => {
+    const career = getCareer(allQuizzes, perkz);
+    expect(checkCareerAnswer(career, "G2 2017", 1)).toEqual({ result: matchResult.close, entry: null });
+    expect(checkCareerAnswer(career, "TSM 2018", 1)).toEqual({ result: matchResult.wrong, entry: null });
+  });
+});
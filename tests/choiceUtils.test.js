@@ -0,0 +1,48 @@
+const { allQuizzes } = require("./dataset");
+const { getChoices, choiceCount } = require("../src/utils/choiceUtils");
+const { getCandidates } = require("../src/utils/ambiguityUtils");
+const { checkCandidates } = require("../src/utils/answerUtils");
+const { matchResult } = require("../src/utils/matchUtils");
+const { createRandom } = require("../src/utils/randomUtils");
+const { parts } = require("../src/constants/score");
+
+const tsm2016 = allQuizzes.find((q) => q.id === "tsm-2016-spring");
+
+describe("choiceUtils", () => {
+  test("offers distinct options of which exactly one is accepted", () => {
+    allQuizzes.forEach((quiz) => {
+      const candidates = getCandidates(allQuizzes, quiz);
+      parts.forEach((part) => {
+        const choices = getChoices(allQuizzes, candidates, part);
+        const values = choices.map((c) => c.value);
+        expect(new Set(values).size).toBe(values.length);
+        if (part !== "split") {
+          // There are only three splits, fewer still when the candidates played several of them.
+          expect(values).toHaveLength(choiceCount);
+        }
+        const accepted = choices.filter((c) => checkCandidates(candidates, part, c.value, 0).result === matchResult.correct);
+        expect(accepted).toHaveLength(1);
+      });
+    });
+  });
+
+  test("draws player distractors from the same position, region and nearby years", () => {
+    const choices = getChoices(allQuizzes, [tsm2016], "mid", createRandom("x"));
+    const distractors = choices.filter((c) => c.value !== "Bjergsen");
+    distractors.forEach((choice) => {
+      const rosters = allQuizzes.filter((q) => q.players.MID.ign[0] === choice.value);
+      expect(rosters.some((q) => q.region === "NA" && Math.abs(q.year - 2016) <= 2)).toBe(true);
+    });
+  });
+
+  test("offers the years closest to the roster", () => {
+    const years = getChoices(allQuizzes, [tsm2016], "year").map((c) => Number(c.value)).sort();
+    expect(Math.max(...years) - Math.min(...years)).toBeLessThanOrEqual(4);
+    expect(years).toContain(2016);
+  });
+
+  test("is repeatable with a seeded random", () => {
+    expect(getChoices(allQuizzes, [tsm2016], "team", createRandom("seed")))
+      .toEqual(getChoices(allQuizzes, [tsm2016], "team", createRandom("seed")));
+  });
+});
@@ -0,0 +1,52 @@
+const { flagCodes, data, players } = require("./dataset");
+const { positions } = require("../src/constants/schema");
+const {
+  countryCodes,
+  getCountryName,
+  getDemonym,
+  getNationalityName,
+  getNationalityAccuracy,
+} = require("../src/utils/countryUtils");
+
+const tsm2016 = data.find((q) => q.id === "tsm-2016-spring");
+
+describe("countryUtils", () => {
+  test("has a country for exactly the flags in public/assets", () => {
+    expect([...countryCodes].sort()).toEqual([...flagCodes].sort());
+  });
+
+  test("knows the country of every player", () => {
+    positions.forEach((position) => {
+      Object.values(players[position]).forEach((player) => {
+        expect(countryCodes).toContain(player.nationality);
+      });
+    });
+  });
+
+  test("looks up names and demonyms", () => {
+    expect(getCountryName("DK")).toBe("Denmark");
+    expect(getCountryName("DK", "de")).toBe("Dänemark");
+    expect(getCountryName("DK", "xx")).toBe("Denmark");
+    expect(getDemonym("KR")).toBe("Korean");
+    expect(getCountryName("ZZ")).toBe("ZZ");
+    expect(getDemonym("ZZ")).toBe("ZZ");
+  });
+
+  test("names nationalities with the demonym in English and the country otherwise", () => {
+    expect(getNationalityName("DK")).toBe("Danish");
+    expect(getNationalityName("DK", "fr")).toBe("Danemark");
+  });
+
+  test("orders nationalities from least to most often named", () => {
+    const rosters = {
+      [tsm2016.id]: {
+        lastOutcome: { team: "answered", year: "answered", top: "answered", jungle: "answered", mid: "skipped", bot: "answered", support: "answered" },
+      },
+    };
+    const stats = getNationalityAccuracy(data, rosters);
+    expect(stats[0].code).toBe(tsm2016.players.MID.nationality);
+    expect(stats[0].accuracy).toBeLessThan(1);
+    expect(stats.reduce((sum, stat) => sum + stat.total, 0)).toBe(5);
+    expect(getNationalityAccuracy(data, {})).toEqual([]);
+  });
+});
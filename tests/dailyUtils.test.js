@@ -0,0 +1,67 @@
+const { allQuizzes } = require("./dataset");
+const {
+  getDateKey,
+  getDailyNumber,
+  getDailyQuizIds,
+  getShareCell,
+  createDailyResult,
+  recordDailyResult,
+  formatShareText,
+} = require("../src/utils/dailyUtils");
+const { translate } = require("../src/utils/i18nUtils");
+const { dailyRosters } = require("../src/constants/daily");
+const { createProgress } = require("../src/utils/storageUtils");
+const { createRosterResult } = require("../src/utils/scoreUtils");
+
+const roster = (quizId, outcomes, hints = {}) => {
+  const result = createRosterResult(quizId);
+  Object.keys(result.parts).forEach((part) => {
+    result.parts[part] = { outcome: outcomes[part] || "skipped", points: 0, hints: hints[part] || 0 };
+  });
+  return { ...result, score: 4 };
+};
+
+describe("dailyUtils", () => {
+  test("keys days by the local calendar date", () => {
+    expect(getDateKey(new Date(2021, 8, 5, 23, 59))).toBe("2021-09-05");
+    expect(getDailyNumber("2021-07-01")).toBe(1);
+    expect(getDailyNumber("2022-07-01")).toBe(366);
+  });
+
+  test("picks the same rosters for everyone on a given day", () => {
+    const ids = getDailyQuizIds(allQuizzes, "2021-09-05");
+    expect(ids).toHaveLength(dailyRosters);
+    expect(new Set(ids).size).toBe(dailyRosters);
+    expect(getDailyQuizIds([...allQuizzes].reverse(), "2021-09-05")).toEqual(ids);
+    expect(getDailyQuizIds(allQuizzes, "2021-09-06")).not.toEqual(ids);
+  });
+
+  test("turns part outcomes into share cells", () => {
+    expect(getShareCell({ outcome: "answered", hints: 0 })).toBe("answered");
+    expect(getShareCell({ outcome: "answered", hints: 2 })).toBe("hinted");
+    expect(getShareCell({ outcome: "revealed", hints: 0 })).toBe("missed");
+    expect(getShareCell(undefined)).toBe("missed");
+  });
+
+  test("builds a spoiler-free share grid, counting unplayed rosters as missed", () => {
+    const rosters = [roster("a", { team: "answered", year: "answered", top: "answered" }, { top: 1 })];
+    const result = createDailyResult("2021-07-02", ["a", "b"], rosters, false);
+    expect(result.rows.map((r) => r.cells.length)).toEqual([7, 7]);
+    expect(result.score).toBe(4);
+    const text = formatShareText(result, (key, params) => translate("en", key, params));
+    expect(text).toBe([
+      "LCS LEC Team Quiz – Daily #2",
+      "4 points (unfinished)",
+      "",
+      "🟩🟩🟨⬛⬛⬛⬛",
+      "⬛⬛⬛⬛⬛⬛⬛",
+    ].join("\n"));
+    expect(text).not.toMatch(/\ba\b|\bb\b/);
+  });
+
+  test("stores one result per day in the progress", () => {
+    const result = createDailyResult("2021-07-02", [], [], true);
+    const progress = recordDailyResult(createProgress(), result);
+    expect(progress.daily).toEqual({ "2021-07-02": result });
+  });
+});
@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+const { buildDataset } = require("../src/utils/datasetUtils");
+
+const { players, teams, quizzes, errors } = buildDataset({
+  players: require("../public/data/players.json"),
+  teams: require("../public/data/teams.json"),
+  quizzes: require("../public/data/quizzes.json"),
+});
+
+// Every nationality with a flag image in public/assets.
+const flagCodes = fs
+  .readdirSync(path.join(__dirname, "../public/assets"))
+  .filter((file) => file.endsWith(".png"))
+  .map((file) => file.replace(".png", ""));
+
+module.exports = {
+  flagCodes,
+  players,
+  teams,
+  errors,
+  allQuizzes: quizzes,
+  // The original NA/EU rosters, which are expected to be unique by flags alone.
+  data: quizzes.filter((q) => ["LCS", "LEC"].includes(q.league)),
+};
@@ -0,0 +1,59 @@
+const { buildDataset, checkDataFile, loadDataset } = require("../src/utils/datasetUtils");
+const { dataVersion } = require("../src/constants/schema");
+const { errors } = require("./dataset");
+
+const files = {
+  players: require("../public/data/players.json"),
+  teams: require("../public/data/teams.json"),
+  quizzes: require("../public/data/quizzes.json"),
+};
+
+const withQuizzes = (quizzes) => ({ ...files, quizzes: { ...files.quizzes, quizzes } });
+
+const fakeFetch = (status = 200) => jest.fn((url) => Promise.resolve({
+  ok: status === 200,
+  status,
+  json: () => Promise.resolve(files[url.replace(/^data\/|\.json$/g, "")]),
+}));
+
+describe("datasetUtils", () => {
+  test("loads the JSON data without validation errors", () => {
+    expect(errors).toEqual([]);
+  });
+
+  test("resolves team and player keys to the shared objects", () => {
+    const { quizzes, players, teams } = buildDataset(files);
+    const tsm = quizzes.find((q) => q.id === "tsm-2016-spring");
+    expect(tsm.team).toBe(teams.TSM);
+    expect(tsm.players.MID).toBe(players.MID.Bjergsen);
+  });
+
+  test("rejects files with another version or shape", () => {
+    expect(() => checkDataFile("teams", { ...files.teams, version: dataVersion + 1 })).toThrow(/version/);
+    expect(() => checkDataFile("quizzes", { version: dataVersion, quizzes: {} })).toThrow(/list of quizzes/);
+    expect(() => checkDataFile("players", null)).toThrow(/not a JSON object/);
+  });
+
+  test("drops quizzes with broken references and reports them", () => {
+    const [first] = files.quizzes.quizzes;
+    const broken = { ...first, id: "broken", players: { ...first.players, MID: "Nobody" } };
+    const { quizzes, errors } = buildDataset(withQuizzes([first, broken]));
+    expect(quizzes.map((q) => q.id)).toEqual([first.id]);
+    expect(errors.map((e) => e.id)).toEqual(["broken"]);
+  });
+
+  test("fetches every data file", async () => {
+    const fetchFn = fakeFetch();
+    const { quizzes } = await loadDataset(fetchFn);
+    expect(fetchFn.mock.calls.map(([url]) => url)).toEqual([
+      "data/players.json",
+      "data/teams.json",
+      "data/quizzes.json",
+    ]);
+    expect(quizzes).toHaveLength(files.quizzes.quizzes.length);
+  });
+
+  test("fails when a data file cannot be fetched", async () => {
+    await expect(loadDataset(fakeFetch(404))).rejects.toThrow("Could not load players.json (404)");
+  });
+});
@@ -0,0 +1,92 @@
+const { get } = require("svelte/store");
+const { allQuizzes } = require("./dataset");
+const { writable } = require("svelte/store");
+const { createGameStore, createAnnouncementStore } = require("../src/stores/game");
+const { translate } = require("../src/utils/i18nUtils");
+const { getQuizParts } = require("../src/utils/scoreUtils");
+const { gameState, gameEvent, transitionDelay } = require("../src/constants/game");
+
+const quiz = allQuizzes[0];
+const load = { type: gameEvent.load, quizId: quiz.id, candidates: [quiz], parts: getQuizParts() };
+
+describe("game store", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("publishes every change", () => {
+    const game = createGameStore();
+    game.dispatch(load);
+    expect(get(game).status).toBe(gameState.answering);
+  });
+
+  test("asks for the next roster after the reveal delay", () => {
+    const onNext = jest.fn();
+    const game = createGameStore(undefined, { onNext });
+    game.dispatch(load);
+    game.dispatch({ type: gameEvent.skipQuiz });
+    jest.advanceTimersByTime(transitionDelay[gameState.revealing] - 1);
+    expect(onNext).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onNext).toHaveBeenCalledTimes(1);
+    expect(get(game).status).toBe(gameState.idle);
+  });
+
+  test("waits less after a roster is played out", () => {
+    const onNext = jest.fn();
+    const game = createGameStore(undefined, { onNext });
+    game.dispatch(load);
+    getQuizParts().forEach(() => game.dispatch({ type: gameEvent.skipPart }));
+    jest.advanceTimersByTime(transitionDelay[gameState.transitioning]);
+    expect(onNext).toHaveBeenCalledTimes(1);
+  });
+
+  test("cancels the rollover when a roster is loaded early", () => {
+    const onNext = jest.fn();
+    const game = createGameStore(undefined, { onNext });
+    game.dispatch(load);
+    game.dispatch({ type: gameEvent.skipQuiz });
+    game.dispatch(load);
+    jest.advanceTimersByTime(10000);
+    expect(onNext).not.toHaveBeenCalled();
+  });
+
+  test("reports each finished roster once", () => {
+    const onRosterFinished = jest.fn();
+    const game = createGameStore(undefined, { onRosterFinished });
+    game.dispatch(load);
+    game.dispatch({ type: gameEvent.skipPart });
+    expect(onRosterFinished).not.toHaveBeenCalled();
+    game.dispatch({ type: gameEvent.skipQuiz });
+    game.dispatch({ type: gameEvent.end });
+    expect(onRosterFinished).toHaveBeenCalledTimes(1);
+    expect(onRosterFinished.mock.calls[0][0].quizId).toBe(quiz.id);
+  });
+
+  test("stops its timer", () => {
+    const onNext = jest.fn();
+    const game = createGameStore(undefined, { onNext });
+    game.dispatch(load);
+    game.dispatch({ type: gameEvent.skipQuiz });
+    game.stop();
+    jest.advanceTimersByTime(10000);
+    expect(onNext).not.toHaveBeenCalled();
+  });
+
+  test("announces changes to the game, each with a new id", () => {
+    const game = createGameStore();
+    const announcement = createAnnouncementStore(game, writable((key, params) => translate("en", key, params)));
+    expect(get(announcement)).toEqual({ text: "", id: 0 });
+    const messages = [];
+    const unsubscribe = announcement.subscribe((message) => messages.push(message));
+    game.dispatch(load);
+    game.dispatch({ type: gameEvent.skipPart });
+    unsubscribe();
+    expect(messages.map((m) => m.id)).toEqual([0, 1, 2]);
+    expect(messages[1].text).toBe("New roster. Team?");
+  });
+});
@@ -0,0 +1,196 @@
+const { allQuizzes } = require("./dataset");
+const { createGame, updateGame, isAnswering, isTransitioning } = require("../src/utils/gameUtils");
+const { getCandidates } = require("../src/utils/ambiguityUtils");
+const { getQuizParts, getCurrentRoster } = require("../src/utils/scoreUtils");
+const { gameState, gameEvent } = require("../src/constants/game");
+const { partOutcome } = require("../src/constants/score");
+const { matchResult } = require("../src/utils/matchUtils");
+const { reverseParts, getReverseCandidates } = require("../src/utils/reverseUtils");
+
+const tsm2016 = allQuizzes.find((q) => q.id === "tsm-2016-spring");
+const parts = getQuizParts();
+
+const load = (game = createGame(), quiz = tsm2016) => updateGame(game, {
+  type: gameEvent.load,
+  quizId: quiz.id,
+  candidates: getCandidates(allQuizzes, quiz),
+  parts,
+});
+
+const play = (game, ...events) => events.reduce(updateGame, game);
+const answer = (value, tolerance = 1) => [
+  { type: gameEvent.input, value },
+  { type: gameEvent.submit, tolerance },
+];
+
+describe("gameUtils", () => {
+  test("starts idle", () => {
+    const game = createGame();
+    expect(game.status).toBe(gameState.idle);
+    expect(game.session.rosters).toEqual([]);
+  });
+
+  test("loads a roster and starts a result for it", () => {
+    const game = load();
+    expect(game.status).toBe(gameState.answering);
+    expect(game.queue).toEqual(parts);
+    expect(game.current).toBe("team");
+    expect(getCurrentRoster(game.session).quizId).toBe("tsm-2016-spring");
+  });
+
+  test("loading nothing leaves the game idle with the session intact", () => {
+    const played = play(load(), { type: gameEvent.skipQuiz });
+    const game = updateGame(played, { type: gameEvent.load, quizId: null });
+    expect(game.status).toBe(gameState.idle);
+    expect(game.candidates).toEqual([]);
+    expect(game.session).toBe(played.session);
+  });
+
+  test("accepts a correct answer and moves to the next part", () => {
+    const game = play(load(), ...answer("tsm"));
+    expect(game.result).toBe(matchResult.correct);
+    expect(game.outcomes.team).toBe(partOutcome.answered);
+    expect(game.current).toBe("year");
+    expect(game.last).toEqual({ part: "team", outcome: partOutcome.answered });
+    expect(game.session.score).toBeGreaterThan(0);
+  });
+
+  test("keeps the part open on a wrong or close answer", () => {
+    const wrong = play(load(), ...answer("fnatic"));
+    expect(wrong.result).toBe(matchResult.wrong);
+    expect(wrong.current).toBe("team");
+    expect(wrong.outcomes).toEqual({});
+    expect(play(wrong, ...answer("fnatic")).attempts).toBe(wrong.attempts + 1);
+    const close = play(load(), ...answer("Team SoloMidd", 0));
+    expect(close.result).toBe(matchResult.close);
+    expect(close.current).toBe("team");
+  });
+
+  test("narrows the candidates as parts are answered", () => {
+    const game = load();
+    const answered = play(game, ...answer("tsm"), ...answer("2016"));
+    answered.candidates.forEach((quiz) => {
+      expect(quiz.team.id).toBe("TSM");
+      expect(quiz.year).toBe("2016");
+    });
+    expect(answered.candidates.length).toBeLessThanOrEqual(game.candidates.length);
+  });
+
+  test("scores a wrong pick as revealed", () => {
+    const right = play(load(), { type: gameEvent.pick, value: "Team SoloMid" });
+    expect(right.outcomes.team).toBe(partOutcome.answered);
+    const wrong = play(load(), { type: gameEvent.pick, value: "Fnatic" });
+    expect(wrong.outcomes.team).toBe(partOutcome.revealed);
+    expect(wrong.current).toBe("year");
+  });
+
+  test("answers reverse parts with flags", () => {
+    const reverse = updateGame(createGame(), {
+      type: gameEvent.load,
+      quizId: tsm2016.id,
+      candidates: getReverseCandidates(allQuizzes, tsm2016),
+      parts: reverseParts,
+    });
+    const top = tsm2016.players.TOP.nationality;
+    const right = play(reverse, { type: gameEvent.flag, code: top });
+    expect(right.outcomes.top).toBe(partOutcome.answered);
+    expect(right.current).toBe("jungle");
+    right.candidates.forEach((quiz) => {
+      expect(quiz.players.TOP.nationality).toBe(top);
+    });
+  });
+
+  test("reveals a reverse part on a wrong flag, so flags can't be tried one by one", () => {
+    const reverse = updateGame(createGame(), {
+      type: gameEvent.load,
+      quizId: tsm2016.id,
+      candidates: getReverseCandidates(allQuizzes, tsm2016),
+      parts: reverseParts,
+    });
+    const top = tsm2016.players.TOP.nationality;
+    const wrong = play(reverse, { type: gameEvent.flag, code: top === "KR" ? "CN" : "KR" });
+    expect(wrong.result).toBe(matchResult.wrong);
+    expect(wrong.values.top).toBe(top === "KR" ? "CN" : "KR");
+    expect(wrong.outcomes.top).toBe(partOutcome.revealed);
+    expect(wrong.current).toBe("jungle");
+    expect(getCurrentRoster(wrong.session).parts.top.points).toBe(0);
+    expect(play(wrong, { type: gameEvent.flag, code: top }).outcomes.top).toBe(partOutcome.revealed);
+  });
+
+  test("skips a part", () => {
+    const game = play(load(), { type: gameEvent.skipPart });
+    expect(game.outcomes.team).toBe(partOutcome.skipped);
+    expect(game.current).toBe("year");
+    expect(game.session.streak).toBe(0);
+  });
+
+  test("transitions once the last part is done", () => {
+    const game = play(load(), ...parts.map(() => ({ type: gameEvent.skipPart })));
+    expect(game.status).toBe(gameState.transitioning);
+    expect(isTransitioning(game)).toBe(true);
+    expect(game.current).toBe(parts[parts.length - 1]);
+  });
+
+  test("reveals every open part when the quiz is skipped", () => {
+    const game = play(load(), ...answer("tsm"), { type: gameEvent.skipQuiz });
+    expect(game.status).toBe(gameState.revealing);
+    expect(game.outcomes.team).toBe(partOutcome.answered);
+    parts.slice(1).forEach((part) => expect(game.outcomes[part]).toBe(partOutcome.revealed));
+    expect(game.queue).toEqual([]);
+  });
+
+  test("ignores answers while transitioning", () => {
+    const revealing = play(load(), { type: gameEvent.skipQuiz });
+    [
+      { type: gameEvent.submit, tolerance: 1 },
+      { type: gameEvent.skipPart },
+      { type: gameEvent.skipQuiz },
+      { type: gameEvent.hint, available: 3 },
+      { type: gameEvent.input, value: "x" },
+    ].forEach((event) => expect(updateGame(revealing, event)).toBe(revealing));
+    expect(isAnswering(revealing)).toBe(false);
+  });
+
+  test("rolls over to the next roster", () => {
+    const revealing = play(load(), { type: gameEvent.skipQuiz });
+    const idle = updateGame(revealing, { type: gameEvent.next });
+    expect(idle.status).toBe(gameState.idle);
+    const next = load(idle, allQuizzes.find((q) => q.id !== tsm2016.id));
+    expect(next.status).toBe(gameState.answering);
+    expect(next.outcomes).toEqual({});
+    expect(next.values).toEqual({});
+    expect(next.session.rosters).toHaveLength(2);
+  });
+
+  test("only rolls over from a transition", () => {
+    const game = load();
+    expect(updateGame(game, { type: gameEvent.next })).toBe(game);
+  });
+
+  test("charges hints to the current part", () => {
+    const game = play(load(), { type: gameEvent.hint, available: 3 }, { type: gameEvent.skipPart });
+    expect(getCurrentRoster(game.session).parts.team.hints).toBe(1);
+    expect(getCurrentRoster(game.session).parts.team.points).toBeLessThan(0);
+  });
+
+  test("charges no more hints than the part has", () => {
+    const hint = { type: gameEvent.hint, available: 2 };
+    const game = play(load(), hint, hint, hint, hint);
+    expect(getCurrentRoster(game.session).parts.team.hints).toBe(2);
+    const hintless = load();
+    expect(updateGame(hintless, { type: gameEvent.hint, available: 0 })).toBe(hintless);
+    expect(updateGame(hintless, { type: gameEvent.hint })).toBe(hintless);
+  });
+
+  test("ends with the open parts revealed", () => {
+    const game = play(load(), { type: gameEvent.end });
+    expect(game.status).toBe(gameState.ended);
+    expect(Object.keys(game.outcomes)).toEqual(parts);
+    expect(updateGame(createGame(), { type: gameEvent.end }).status).toBe(gameState.idle);
+  });
+
+  test("replaces the session", () => {
+    const session = { rosters: [], score: 5, streak: 0, bestStreak: 0 };
+    expect(updateGame(load(), { type: gameEvent.setSession, session }).session).toBe(session);
+  });
+});
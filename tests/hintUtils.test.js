@@ -0,0 +1,64 @@
+const { data } = require("./dataset");
+const { getHints, findPlayerRosters } = require("../src/utils/hintUtils");
+const { parts, playerParts, hintCost } = require("../src/constants/score");
+const { translate } = require("../src/utils/i18nUtils");
+
+const tsm2016 = data.find((q) => q.id === "tsm-2016-spring");
+const texts = (hints, locale = "en") => hints.map((h) => translate(locale, h.key, h.params));
+
+describe("hintUtils", () => {
+  test("derives player hints from the data", () => {
+    const hints = texts(getHints(data, tsm2016, "mid"));
+    expect(hints[0]).toBe('Starts with "B"');
+    expect(hints[1]).toBe("Has 8 characters");
+    expect(hints[2]).toMatch(/^Also played for .*TSM 2014 Summer/);
+    expect(hints[2]).not.toMatch(/TSM 2016 Spring/);
+  });
+
+  test("adds the nationality only when asked", () => {
+    expect(texts(getHints(data, tsm2016, "mid", { withNationality: true }))[0]).toBe("Danish player");
+    texts(getHints(data, tsm2016, "mid")).forEach((text) => {
+      expect(text).not.toMatch(/player$/);
+    });
+  });
+
+  test("names the nationality in the given language", () => {
+    const [hint] = getHints(data, tsm2016, "mid", { withNationality: true, locale: "de" });
+    expect(hint).toEqual({ key: "hint.nationality", params: { nationality: "Dänemark" }, cost: hintCost });
+    expect(texts([hint], "de")).toEqual(["Nationalität: Dänemark"]);
+  });
+
+  test("names the splits of other rosters in the given language", () => {
+    const [, , hint] = getHints(data, tsm2016, "mid", { locale: "ja" });
+    expect(texts([hint], "ja")[0]).toMatch(/TSM 2014 サマー/);
+  });
+
+  test("finds every roster a player appears in", () => {
+    const rosters = findPlayerRosters(data, tsm2016.players.MID);
+    expect(rosters.length).toBeGreaterThan(1);
+    expect(rosters).toContain(tsm2016);
+  });
+
+  test("derives team and year hints from the data", () => {
+    expect(texts(getHints(data, tsm2016, "team"))[0]).toBe("Plays in the LCS");
+    expect(texts(getHints(data, tsm2016, "year"))).toEqual([
+      "Between 2014 and 2018",
+      "Between 2015 and 2017",
+    ]);
+  });
+
+  test("never gives away the answer outright", () => {
+    data.forEach((quiz) => {
+      parts.forEach((part) => {
+        getHints(data, quiz, part).forEach((hint) => {
+          expect(hint.cost).toBeGreaterThan(0);
+          if (playerParts[part]) {
+            quiz.players[playerParts[part]].ign.forEach((ign) => {
+              expect(texts([hint])[0]).not.toContain(ign);
+            });
+          }
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { messages } = require("../src/constants/messages");
+const { locales, defaultLocale } = require("../src/constants/locales");
+const { parts } = require("../src/constants/score");
+const {
+  localeKey,
+  detectLocale,
+  translate,
+  getPartMessageKey,
+  loadLocale,
+  saveLocale,
+} = require("../src/utils/i18nUtils");
+
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+};
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+describe("i18nUtils", () => {
+  test("has a catalog for every locale with the same keys and placeholders as English", () => {
+    const keys = Object.keys(messages[defaultLocale]).sort();
+    expect(Object.keys(messages).sort()).toEqual(locales.map((locale) => locale.code).sort());
+    locales.forEach(({ code }) => {
+      expect(Object.keys(messages[code]).sort()).toEqual(keys);
+      keys.forEach((key) => {
+        expect(placeholders(messages[code][key])).toEqual(placeholders(messages[defaultLocale][key]));
+      });
+    });
+  });
+
+  test("fills in placeholders and falls back to English, then to the key", () => {
+    expect(translate("en", "runComplete.replayMissed", { count: 3 })).toBe("REPLAY MISSED (3)");
+    expect(translate("ja", "hints.button", { cost: 1 })).toBe("ヒント (-1)");
+    expect(translate("xx", "skip.quiz")).toBe("NEXT QUIZ");
+    expect(translate("en", "no.such.key")).toBe("no.such.key");
+    expect(translate("en", "title.inspiredBy")).toBe("Inspired by {video}");
+  });
+
+  test("labels every part, with positions for the player parts", () => {
+    expect(getPartMessageKey("jungle")).toBe("position.jg");
+    expect(getPartMessageKey("year")).toBe("part.year");
+    parts.forEach((part) => {
+      locales.forEach(({ code }) => {
+        expect(messages[code][getPartMessageKey(part)]).toBeDefined();
+      });
+    });
+  });
+
+  test("picks the first supported browser language", () => {
+    expect(detectLocale(["ja-JP", "en-US"])).toBe("ja");
+    expect(detectLocale(["nl-NL", "fr-CA"])).toBe("fr");
+    expect(detectLocale(["zh-Hant-HK"])).toBe("zh-TW");
+    expect(detectLocale(["zh-HK"])).toBe("zh-TW");
+    expect(detectLocale(["zh-CN"])).toBe("en");
+    expect(detectLocale([])).toBe("en");
+  });
+
+  test("prefers a saved language over the browser's", () => {
+    const storage = createStorage();
+    expect(loadLocale(storage, ["de-DE"])).toBe("de");
+    saveLocale(storage, "ko");
+    expect(loadLocale(storage, ["de-DE"])).toBe("ko");
+    expect(loadLocale(createStorage({ [localeKey]: "xx" }), ["es"])).toBe("es");
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  parseCsv,
+  readRows,
+  groupRosters,
+  mergeRosters,
+} = require("../scripts/importRosters");
+const { leagues } = require("../src/constants/leagues");
+
+const files = {
+  players: require("../public/data/players.json"),
+  teams: require("../public/data/teams.json"),
+  quizzes: require("../public/data/quizzes.json"),
+};
+
+const header = "Team,TeamName,Region,League,Year,Split,Role,Player,Country";
+const roster = (team, year, split, lineup, extra = "") => lineup
+  .map(([role, player, country = ""]) => `${team},${extra},${year},${split},${role},${player},${country}`);
+
+const importCsv = (lines) => {
+  const { rosters, errors } = groupRosters(readRows([header, ...lines].join("\n"), "csv"));
+  return { errors, ...mergeRosters(files, rosters) };
+};
+
+const hle2021 = roster("HLE", "2021", "Summer", [
+  ["Top", "Morgan", "KR"],
+  ["Jungle", "Willer", "KR"],
+  ["Mid", "Chovy", "KR"],
+  ["Bot", "Deft", "KR"],
+  ["Support", "Vsta", "KR"],
+], "Hanwha Life Esports,KR,LCK");
+
+describe("importRosters", () => {
+  test("parses quoted CSV fields", () => {
+    expect(parseCsv('Team,TeamName\r\nG2,"G2, ""Esports"""\r\n')).toEqual([
+      { Team: "G2", TeamName: 'G2, "Esports"' },
+    ]);
+  });
+
+  test("reads Cargo query JSON exports", () => {
+    const json = JSON.stringify({ cargoquery: [{ title: { Team: "T1", "Tournament Role": "Mid" } }] });
+    expect(readRows(json, "json")).toEqual([{ team: "T1", tournamentrole: "Mid" }]);
+  });
+
+  test("adds new rosters, teams and players", () => {
+    const { files: merged, report, errors } = importCsv(hle2021);
+    expect(errors).toEqual([]);
+    expect(report.added).toEqual(["hle-2021-summer"]);
+    expect(report.newTeams).toEqual(["HLE"]);
+    expect(report.newPlayers).toEqual(["TOP.Morgan", "JG.Willer", "MID.Chovy", "BOT.Deft", "SPT.Vsta"]);
+    expect(merged.quizzes.quizzes).toHaveLength(files.quizzes.quizzes.length + 1);
+    expect(merged.teams.teams.HLE).toEqual({ id: "HLE", name: ["Hanwha Life Esports"], abbr: "HLE", region: "KR" });
+    expect(files.teams.teams.HLE).toBeUndefined();
+  });
+
+  test("reuses known players, including role swaps", () => {
+    const { report } = importCsv(roster("T1", "2019", "Summer", [
+      ["Top", "Khan"],
+      ["Jungle", "Clid"],
+      ["Mid", "Faker"],
+      ["Bot", "Teddy"],
+      ["Support", "Bang"],
+    ], ",,LCK"));
+    expect(report.added).toEqual(["t1-2019-summer"]);
+    expect(report.newPlayers).toEqual(["SPT.Bang"]);
+  });
+
+  test("detects rosters already in the dataset and conflicting ones", () => {
+    const { report } = importCsv([
+      ...roster("TSM", "2016", "Spring", [
+        ["Top", "Hauntzer"], ["Jungle", "Svenskeren"], ["Mid", "Bjergsen"], ["Bot", "Doublelift"], ["Support", "YellOwStaR"],
+      ], ",,LCS"),
+      ...roster("TSM", "2013", "Spring", [
+        ["Top", "Hauntzer"], ["Jungle", "Svenskeren"], ["Mid", "Bjergsen"], ["Bot", "Doublelift"], ["Support", "YellOwStaR"],
+      ], ",,LCS"),
+    ]);
+    expect(report.duplicates).toEqual(["tsm-2016-spring"]);
+    expect(report.conflicts).toEqual(["tsm-2013-spring"]);
+    expect(report.added).toEqual([]);
+  });
+
+  test("reports incomplete rosters and unknown players without a country", () => {
+    const { report, errors } = importCsv([
+      ...hle2021.slice(0, 4),
+      ...roster("T1", "2020", "Spring", [
+        ["Top", "Canna"], ["Jungle", "Cuzz"], ["Mid", "Faker"], ["Bot", "Teddy"], ["Support", "Effort"],
+      ], ",,LCK"),
+    ]);
+    expect(errors).toEqual(["hle-2021-summer has no SPT"]);
+    expect(report.errors).toEqual(["t1-2020-spring has the new player Canna with no Country"]);
+    expect(report.added).toEqual([]);
+  });
+
+  test("rejects rows without a known league, split or year", () => {
+    const { rosters, errors } = groupRosters(readRows([
+      "Team,TeamName,Region,Year,Split,Role,Player,Country",
+      ...hle2021.map(line => line.replace(",KR,LCK,", ",KR,")),
+    ].join("\n"), "csv"));
+    expect(rosters).toEqual([]);
+    expect(errors).toEqual([1, 2, 3, 4, 5].map(row => `Row ${row} has the unknown league (none)`));
+    expect(importCsv(hle2021.map(line => line.replace(",LCK,", ",LCL,"))).errors[0])
+      .toBe("Row 1 has the unknown league LCL");
+    expect(importCsv(hle2021.map(line => line.replace(",Summer,", ",Regional,"))).errors[0])
+      .toBe("Row 1 has the unknown split Regional");
+    expect(importCsv(hle2021.map(line => line.replace(",2021,", ",2022,"))).errors[0])
+      .toBe("Row 1 has the year 2022, outside 2013-2021");
+  });
+
+  test("accepts every league the app knows", () => {
+    Object.keys(leagues).forEach((league) => {
+      expect(importCsv(hle2021.map(line => line.replace(",LCK,", `,${league.toLowerCase()},`))).errors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const {
+  matchResult,
+  normalizeAnswer,
+  editDistance,
+  matchAnswer,
+} = require("../src/utils/matchUtils");
+
+describe("matchUtils", () => {
+  test("strips whitespace, punctuation and diacritics", () => {
+    expect(normalizeAnswer(" Team  Solo-Mid ")).toBe("teamsolomid");
+    expect(normalizeAnswer("Hjärnan")).toBe("hjarnan");
+    expect(normalizeAnswer("Mr. RalleZ")).toBe("mrrallez");
+  });
+
+  test("normalises leet digits", () => {
+    expect(normalizeAnswer("FORG1VEN")).toBe(normalizeAnswer("Forgiven"));
+    expect(normalizeAnswer("Y3ll0wStaR")).toBe(normalizeAnswer("YellOwStaR"));
+  });
+
+  test("computes the edit distance", () => {
+    expect(editDistance("bjergsen", "bjergson")).toBe(1);
+    expect(editDistance("svenskeren", "svenskaren")).toBe(1);
+    expect(editDistance("", "abc")).toBe(3);
+    expect(editDistance("abc", "abc")).toBe(0);
+  });
+
+  test("accepts typos within the tolerance", () => {
+    expect(matchAnswer("Bjergson", ["Bjergsen"], 1)).toBe(matchResult.correct);
+    expect(matchAnswer("Svenskaren", ["Svenskeren"], 1)).toBe(matchResult.correct);
+  });
+
+  test("reports typos beyond the tolerance as close", () => {
+    expect(matchAnswer("Bjergson", ["Bjergsen"], 0)).toBe(matchResult.close);
+    expect(matchAnswer("Bjergsoon", ["Bjergsen"], 1)).toBe(matchResult.close);
+  });
+
+  test("gives short names no leeway", () => {
+    expect(matchAnswer("Hal", ["Hai"], 2)).toBe(matchResult.wrong);
+    expect(matchAnswer("hai", ["Hai"], 2)).toBe(matchResult.correct);
+  });
+
+  test("rejects empty and unrelated input", () => {
+    expect(matchAnswer("", ["Bjergsen"], 2)).toBe(matchResult.wrong);
+    expect(matchAnswer("Doublelift", ["Bjergsen"], 2)).toBe(matchResult.wrong);
+  });
+});
@@ -0,0 +1,46 @@
+const {
+  createMatch,
+  getActivePlayer,
+  awardPoints,
+  passTurn,
+  getStandings,
+  getWinners,
+} = require("../src/utils/multiplayerUtils");
+
+describe("multiplayerUtils", () => {
+  test("credits points to the active player", () => {
+    let match = createMatch(["Ann", "Bo"], "roster", 2);
+    match = awardPoints(match, 2);
+    match = passTurn(match);
+    expect(getActivePlayer(match).name).toBe("Bo");
+    match = awardPoints(match, 1);
+    expect(match.players.map((p) => p.score)).toEqual([2, 1]);
+  });
+
+  test("ends after the last player of the last round", () => {
+    let match = createMatch(["Ann", "Bo", "Cy"], "part", 2);
+    for (let i = 0; i < 5; i++) {
+      match = passTurn(match);
+    }
+    expect(match.round).toBe(2);
+    expect(match.ended).toBe(false);
+    match = passTurn(match);
+    expect(match.ended).toBe(true);
+  });
+
+  test("keeps the number of rounds between 1 and 20", () => {
+    expect(createMatch(["Ann", "Bo"], "roster", null).rounds).toBe(1);
+    expect(createMatch(["Ann", "Bo"], "roster", 0).rounds).toBe(1);
+    expect(createMatch(["Ann", "Bo"], "roster", 2.5).rounds).toBe(2);
+    expect(createMatch(["Ann", "Bo"], "roster", 99).rounds).toBe(20);
+  });
+
+  test("ranks players and reports ties as shared wins", () => {
+    let match = createMatch(["Ann", "Bo", "Cy"], "roster", 1);
+    match = awardPoints(match, 3);
+    match = passTurn(match);
+    match = awardPoints(match, 3);
+    expect(getStandings(match).map((p) => p.name)).toEqual(["Ann", "Bo", "Cy"]);
+    expect(getWinners(match).map((p) => p.name)).toEqual(["Ann", "Bo"]);
+  });
+});
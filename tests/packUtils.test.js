@@ -0,0 +1,152 @@
+const { players, teams, allQuizzes } = require("./dataset");
+const {
+  createPack,
+  addPackRoster,
+  removePackRoster,
+  addPackPlayer,
+  addPackTeam,
+  buildPackDataset,
+  parsePack,
+  importPack,
+  serializePack,
+  upsertPack,
+  loadPacks,
+  savePacks,
+  packsKey,
+} = require("../src/utils/packUtils");
+
+const base = { players, teams, quizzes: allQuizzes };
+
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+};
+
+const tsm2016 = {
+  team: "TSM",
+  year: "2016",
+  split: "spring",
+  league: "LCS",
+  players: { TOP: "Hauntzer", JG: "Svenskeren", MID: "Bjergsen", BOT: "Doublelift", SPT: "YellOwStaR" },
+};
+
+describe("packUtils", () => {
+  test("adds rosters built from the built-in teams and players", () => {
+    const { pack, errors } = addPackRoster(createPack("Test", "test"), base, tsm2016);
+    expect(errors).toEqual([]);
+    expect(pack.quizzes).toEqual([{ ...tsm2016, id: "test/tsm-2016-spring", region: "NA" }]);
+    const { quizzes } = buildPackDataset(pack, base);
+    expect(quizzes[0].team).toBe(teams.TSM);
+    expect(quizzes[0].players.MID).toBe(players.MID.Bjergsen);
+  });
+
+  test("refuses incomplete or repeated rosters", () => {
+    const incomplete = addPackRoster(createPack("Test", "test"), base, { ...tsm2016, players: { TOP: "Hauntzer" } });
+    expect(incomplete.pack.quizzes).toEqual([]);
+    expect(incomplete.errors.map((e) => e.type)).toEqual(["reference", "reference", "reference", "reference"]);
+
+    const { pack } = addPackRoster(createPack("Test", "test"), base, tsm2016);
+    expect(addPackRoster(pack, base, tsm2016).errors.map((e) => e.type)).toEqual(["quiz"]);
+    expect(removePackRoster(pack, "test/tsm-2016-spring").quizzes).toEqual([]);
+  });
+
+  test("adds players and teams of its own", () => {
+    let { pack } = addPackTeam(createPack("Amateurs", "am"), base, { name: "Lunch Club", abbr: "LUN", region: "EU" });
+    ({ pack } = addPackPlayer(pack, base, { ign: "Sandwich", position: "MID", nationality: "DE" }));
+    const roster = { ...tsm2016, team: "LUN", league: "CUSTOM", players: { ...tsm2016.players, MID: "Sandwich" } };
+    ({ pack } = addPackRoster(pack, base, roster));
+    const { quizzes, errors } = buildPackDataset(pack, base);
+    expect(errors).toEqual([]);
+    expect(quizzes.map((q) => q.id)).toEqual(["am/lun-2016-spring"]);
+    expect(quizzes[0].players.MID.ign).toEqual(["Sandwich"]);
+  });
+
+  test("refuses players and teams that clash with existing ones", () => {
+    const pack = createPack("Test", "test");
+    expect(addPackPlayer(pack, base, { ign: "Bjergsen", position: "MID", nationality: "DK" }).errors).toHaveLength(1);
+    expect(addPackPlayer(pack, base, { ign: "Bjergs3n", position: "MID", nationality: "DK" }).errors.map((e) => e.type))
+      .toEqual(["alias"]);
+    expect(addPackPlayer(pack, base, { ign: " ", position: "MID", nationality: "DK" }).errors).toHaveLength(1);
+    expect(addPackTeam(pack, base, { name: "Copy", abbr: "TSM", region: "NA" }).errors.map((e) => e.type))
+      .toEqual(["team"]);
+    expect(addPackTeam(pack, base, { name: "Other", abbr: "TSM", region: "KR" }).errors).toEqual([]);
+    expect(addPackTeam(pack, base, { name: " ", abbr: "NEW", region: "NA" }).errors).toHaveLength(1);
+    expect(addPackTeam(pack, base, { name: "New Team", abbr: "", region: "NA" }).errors).toHaveLength(1);
+  });
+
+  test("round-trips packs through their JSON export", () => {
+    const { pack } = addPackRoster(createPack("Test", "test"), base, tsm2016);
+    expect(parsePack(serializePack(pack))).toEqual(pack);
+    expect(() => parsePack(JSON.stringify({ ...pack, version: 99 }))).toThrow(/version/);
+    expect(() => parsePack(JSON.stringify({ ...pack, quizzes: undefined }))).toThrow(/missing/);
+    expect(() => parsePack(JSON.stringify({ ...pack, id: "other" }))).toThrow(/another pack/);
+    expect(() => parsePack("not json")).toThrow();
+    expect(() => parsePack(JSON.stringify({ ...pack, id: "other" })))
+      .toThrow(expect.objectContaining({ key: "packs.otherPack" }));
+  });
+
+  test("rejects malformed packs before they can be saved", () => {
+    const pack = createPack("Test", "test");
+    const malformed = [
+      { ...pack, players: null },
+      { ...pack, teams: null },
+      { ...pack, players: [] },
+      { ...pack, players: { TOP: null } },
+      { ...pack, players: { MID: "Faker" } },
+      { ...pack, teams: { T1: null } },
+      { ...pack, quizzes: [null] },
+      { ...pack, quizzes: [{ id: "test/a", players: null }] },
+      null,
+    ];
+    malformed.forEach((bad) => {
+      expect(() => parsePack(JSON.stringify(bad))).toThrow();
+    });
+    const storage = createStorage({ [packsKey]: JSON.stringify([pack, ...malformed]) });
+    expect(loadPacks(storage)).toEqual([pack]);
+  });
+
+  test("imports nothing when a player or team has the wrong types", () => {
+    const { pack } = addPackRoster(createPack("Test", "test"), base, tsm2016);
+    const player = { ign: ["Newcomer"], position: "TOP", nationality: "US" };
+    const team = { id: "NEW", name: ["New Team"], abbr: "NEW", region: "NA" };
+    const malformed = [
+      { ...pack, players: { TOP: { Newcomer: null } } },
+      { ...pack, players: { TOP: { Newcomer: { ...player, ign: [5] } } } },
+      { ...pack, players: { TOP: { Newcomer: { ...player, ign: [] } } } },
+      { ...pack, players: { TOP: { Newcomer: { ...player, nationality: null } } } },
+      { ...pack, teams: { NEW: { ...team, abbr: 5 } } },
+      { ...pack, teams: { NEW: { ...team, name: "New Team" } } },
+      { ...pack, teams: { NEW: { ...team, name: [""] } } },
+    ];
+    const storage = createStorage();
+    savePacks(storage, [pack]);
+    malformed.forEach((bad) => {
+      expect(() => savePacks(storage, importPack(loadPacks(storage), base, JSON.stringify(bad)).packs)).toThrow();
+    });
+    expect(loadPacks(storage)).toEqual([pack]);
+    const renamed = importPack([pack], base, serializePack({ ...pack, name: "Renamed" }));
+    expect(renamed.replaced).toBe(true);
+    expect(renamed.packs).toEqual([{ ...pack, name: "Renamed" }]);
+    expect(renamed.dataset.quizzes).toHaveLength(1);
+  });
+
+  test("replaces packs with the same id", () => {
+    const first = createPack("First", "a");
+    const renamed = { ...first, name: "Renamed" };
+    expect(upsertPack([first], renamed)).toEqual([renamed]);
+    expect(upsertPack([first], createPack("B", "b")).map((p) => p.id)).toEqual(["a", "b"]);
+  });
+
+  test("saves and loads packs, ignoring corrupt storage", () => {
+    const storage = createStorage();
+    const pack = createPack("Test", "test");
+    savePacks(storage, [pack]);
+    expect(loadPacks(storage)).toEqual([pack]);
+    expect(loadPacks(createStorage({ [packsKey]: "{broken" }))).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  createPool,
+  getFilterKey,
+  getYears,
+  getRemainingPool,
+  getQuizById,
+  getLeagues,
+} = require("../src/utils/poolUtils");
+
+const quizzes = [
+  { id: "a", region: "NA", league: "LCS", year: "2013" },
+  { id: "b", region: "EU", league: "LEC", year: "2015" },
+  { id: "c", region: "NA", league: "LCS", year: "2018" },
+  { id: "d", region: "EU", league: "LEC", year: "2021" },
+  { id: "e", region: "EU", league: "LFL", year: "2021" },
+];
+
+describe("poolUtils", () => {
+  test("lists the years in the data in order", () => {
+    expect(getYears(quizzes)).toEqual(["2013", "2015", "2018", "2021"]);
+  });
+
+  test("filters the pool by league rather than region", () => {
+    const filter = { league: "LEC", yearFrom: "2013", yearTo: "2021" };
+    expect(createPool(quizzes, filter)).toEqual(["b", "d"]);
+  });
+
+  test("lists the leagues in the data in league order", () => {
+    expect(getLeagues([...quizzes].reverse())).toEqual(["LCS", "LEC", "LFL"]);
+  });
+
+  test("filters the pool by an inclusive year range", () => {
+    const filter = { league: "ALL", yearFrom: "2013", yearTo: "2016" };
+    expect(createPool(quizzes, filter)).toEqual(["a", "b"]);
+  });
+
+  test("keys the pool filter on the pack, league and years only", () => {
+    const filter = { pack: "builtin", league: "LEC", yearFrom: "2013", yearTo: "2021" };
+    expect(getFilterKey({ ...filter, typoTolerance: 2, askSplit: true })).toBe(getFilterKey(filter));
+    expect(getFilterKey({ ...filter, league: "LCS" })).not.toBe(getFilterKey(filter));
+    expect(getFilterKey({ ...filter, pack: "mine" })).not.toBe(getFilterKey(filter));
+  });
+
+  test("excludes answered rosters from the remaining pool", () => {
+    expect(getRemainingPool(["a", "b", "c"], ["b"])).toEqual(["a", "c"]);
+  });
+
+  test("finds quizzes by their stable id", () => {
+    expect(getQuizById(quizzes, "c")).toBe(quizzes[2]);
+    expect(getQuizById(quizzes, "z")).toBeUndefined();
+  });
+});
@@ -1,20 +1,40 @@
-const { data } = require("../src/constants/quizzes");
+const { allQuizzes } = require("./dataset");
+const { positions } = require("../src/constants/schema");
+
+// Lineups that more than one roster is known to share, with exactly those rosters.
+// Any of them is accepted as the answer; a new collision has to be added here on purpose.
+const sharedLineups = {
+  "DK-PL-DK-HR-SI": ["g2-2019-spring", "g2-2019-worlds"],
+  "KR-CN-KR-CN-CN": ["ig-2018-summer", "fpx-2019-summer"],
+  "KR-KR-KR-KR-KR": ["skt-2015-summer", "ssg-2017-summer", "t1-2019-spring", "dwg-2020-summer", "skt-2015-worlds"],
+};
 
 describe("quizzes", () => {
-  test("has no quizzes with the same nationalities", () => {
-    const convertedQuizzes = data.map((q) =>
-      Object.values(q.players)
-        .map((p) => p.nationality)
-        .join("")
-    );
+  test("has no quizzes with the same nationalities, apart from the known shared lineups", () => {
     const quizMap = {};
-    convertedQuizzes.forEach((q) => {
-      if (quizMap[q] === undefined) {
-        quizMap[q] = 1;
-      } else {
-        quizMap[q]++;
-      }
+    allQuizzes.forEach((q) => {
+      const lineup = positions.map((position) => q.players[position].nationality).join("-");
+      quizMap[lineup] = [...(quizMap[lineup] || []), q.id];
+    });
+    const shared = Object.keys(quizMap)
+      .filter((lineup) => quizMap[lineup].length > 1)
+      .reduce((acc, lineup) => ({ ...acc, [lineup]: quizMap[lineup].sort() }), {});
+    const expected = Object.keys(sharedLineups)
+      .reduce((acc, lineup) => ({ ...acc, [lineup]: [...sharedLineups[lineup]].sort() }), {});
+    expect(shared).toEqual(expected);
+  });
+
+  // Only the flags are shown, so a shared lineup must at least be narrowed down by the league filter.
+  test("shares lineups only between rosters of one region", () => {
+    Object.keys(sharedLineups).forEach((lineup) => {
+      const regions = sharedLineups[lineup].map((id) => allQuizzes.find((q) => q.id === id).region);
+      expect(new Set(regions).size).toBe(1);
     });
-    expect(Object.values(quizMap).filter((v) => v > 1).length).toBe(0);
+  });
+
+  test("has a unique id for every quiz", () => {
+    const ids = allQuizzes.map((q) => q.id);
+    expect(ids.every((id) => typeof id === "string" && id.length > 0)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
   });
 });
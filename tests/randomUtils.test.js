@@ -0,0 +1,40 @@
+const { createRandom, createSeed, hashSeed, shuffle } = require("../src/utils/randomUtils");
+
+describe("randomUtils", () => {
+  test("produces the same sequence for the same seed", () => {
+    const a = createRandom("abc");
+    const b = createRandom("abc");
+    const c = createRandom("abd");
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect([c(), c(), c()]).not.toEqual(first);
+  });
+
+  test("yields numbers in [0, 1)", () => {
+    const random = createRandom("range");
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test("hashes seeds to unsigned 32-bit integers", () => {
+    expect(hashSeed("abc")).toBe(hashSeed("abc"));
+    expect(Number.isInteger(hashSeed(""))).toBe(true);
+    expect(hashSeed("abc")).toBeGreaterThanOrEqual(0);
+    expect(hashSeed("abc")).toBeLessThan(2 ** 32);
+  });
+
+  test("shuffles deterministically without losing items", () => {
+    const items = ["a", "b", "c", "d", "e", "f"];
+    const shuffled = shuffle(items, createRandom("seed"));
+    expect(shuffled).toEqual(shuffle(items, createRandom("seed")));
+    expect([...shuffled].sort()).toEqual(items);
+    expect(items).toEqual(["a", "b", "c", "d", "e", "f"]);
+  });
+
+  test("creates short url-safe seeds", () => {
+    expect(createSeed()).toMatch(/^[a-z0-9]{1,8}$/);
+  });
+});
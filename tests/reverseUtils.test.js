@@ -0,0 +1,37 @@
+const { allQuizzes } = require("./dataset");
+const { matchResult } = require("../src/utils/matchUtils");
+const {
+  getReverseCandidates,
+  checkFlagCandidates,
+} = require("../src/utils/reverseUtils");
+
+const findSeason = () => allQuizzes.find((quiz) => allQuizzes.some((other) =>
+  other !== quiz && other.team.id === quiz.team.id && other.year === quiz.year));
+
+describe("reverseUtils", () => {
+  test("includes every roster of the same team and year", () => {
+    const quiz = findSeason();
+    const candidates = getReverseCandidates(allQuizzes, quiz);
+    expect(candidates[0]).toBe(quiz);
+    expect(candidates.length).toBeGreaterThan(1);
+    candidates.forEach((candidate) => {
+      expect(candidate.team.id).toBe(quiz.team.id);
+      expect(candidate.year).toBe(quiz.year);
+    });
+  });
+
+  test("accepts a flag that fits any candidate and narrows to those", () => {
+    const quiz = allQuizzes[0];
+    const other = { ...quiz, players: { ...quiz.players, TOP: { ...quiz.players.TOP, nationality: "XX" } } };
+    const checked = checkFlagCandidates([quiz, other], "top", "XX");
+    expect(checked.result).toBe(matchResult.correct);
+    expect(checked.candidates).toEqual([other]);
+  });
+
+  test("rejects a flag that fits no candidate", () => {
+    const quiz = allQuizzes[0];
+    const checked = checkFlagCandidates([quiz], "top", "XX");
+    expect(checked.result).toBe(matchResult.wrong);
+    expect(checked.candidates).toEqual([quiz]);
+  });
+});
@@ -0,0 +1,53 @@
+const { createSession, startRoster, recordPart, useHint } = require("../src/utils/scoreUtils");
+const { updateReviewQueue, getDueReviewIds } = require("../src/utils/reviewUtils");
+const { parts, partOutcome } = require("../src/constants/score");
+const { reviewIntervals, dayMs } = require("../src/constants/review");
+
+const playRoster = (quizId, { miss = false, hint = false } = {}) => {
+  let session = startRoster(createSession(), quizId);
+  if (hint) {
+    session = useHint(session, "team");
+  }
+  parts.forEach((part, i) => {
+    session = recordPart(session, part, miss && i === 0 ? partOutcome.skipped : partOutcome.answered);
+  });
+  return session.rosters[0];
+};
+
+describe("reviewUtils", () => {
+  test("queues a missed roster straight away and counts its misses", () => {
+    let queue = updateReviewQueue({}, playRoster("a", { miss: true }), 100);
+    expect(queue.a).toEqual({ misses: 1, box: 0, dueAt: 100 });
+    queue = updateReviewQueue(queue, playRoster("a", { miss: true }), 200);
+    expect(queue.a).toEqual({ misses: 2, box: 0, dueAt: 200 });
+  });
+
+  test("leaves rosters that were never missed out of the queue", () => {
+    expect(updateReviewQueue({}, playRoster("a"), 0)).toEqual({});
+  });
+
+  test("spaces out clean answers until the roster leaves the queue", () => {
+    let queue = updateReviewQueue({}, playRoster("a", { miss: true }), 0);
+    reviewIntervals.forEach((days, i) => {
+      queue = updateReviewQueue(queue, playRoster("a"), 0);
+      expect(queue.a).toEqual({ misses: 1, box: i + 1, dueAt: days * dayMs });
+    });
+    expect(updateReviewQueue(queue, playRoster("a"), 0)).toEqual({});
+  });
+
+  test("keeps a roster answered with hints where it was", () => {
+    const queue = updateReviewQueue({}, playRoster("a", { miss: true }), 0);
+    expect(updateReviewQueue(queue, playRoster("a", { hint: true }), 50)).toBe(queue);
+  });
+
+  test("lists due rosters, the most often missed first", () => {
+    const queue = {
+      a: { misses: 1, box: 0, dueAt: 10 },
+      b: { misses: 3, box: 0, dueAt: 20 },
+      c: { misses: 1, box: 1, dueAt: 5 },
+      d: { misses: 5, box: 1, dueAt: 1000 },
+    };
+    expect(getDueReviewIds(queue, 100)).toEqual(["b", "c", "a"]);
+    expect(getDueReviewIds({}, 100)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+const {
+  createSession,
+  startRoster,
+  recordPart,
+  summarizeSession,
+  getMissedQuizIds,
+  getQuizParts,
+  useHint,
+  summarizeRoster,
+} = require("../src/utils/scoreUtils");
+const { parts, partPoints, partOutcome, hintCost } = require("../src/constants/score");
+
+describe("scoreUtils", () => {
+  test("awards points only for answered parts", () => {
+    let session = startRoster(createSession(), "a");
+    session = recordPart(session, "team", partOutcome.answered);
+    session = recordPart(session, "year", partOutcome.skipped);
+    session = recordPart(session, "top", partOutcome.revealed);
+    expect(session.score).toBe(partPoints.team);
+    expect(session.rosters[0].parts.year).toEqual({ outcome: "skipped", points: 0, hints: 0 });
+  });
+
+  test("does not record the same part twice", () => {
+    let session = startRoster(createSession(), "a");
+    session = recordPart(session, "team", partOutcome.answered);
+    session = recordPart(session, "team", partOutcome.answered);
+    expect(session.score).toBe(partPoints.team);
+  });
+
+  test("tracks streaks and adds a bonus from the third answer in a row", () => {
+    let session = startRoster(createSession(), "a");
+    session = recordPart(session, "team", partOutcome.answered);
+    session = recordPart(session, "year", partOutcome.answered);
+    session = recordPart(session, "top", partOutcome.answered);
+    expect(session.streak).toBe(3);
+    expect(session.rosters[0].parts.top.points).toBe(partPoints.top + 1);
+    session = recordPart(session, "jungle", partOutcome.skipped);
+    expect(session.streak).toBe(0);
+    expect(session.bestStreak).toBe(3);
+  });
+
+  test("summarizes only finished rosters", () => {
+    let session = startRoster(createSession(), "a");
+    parts.forEach((part) => {
+      session = recordPart(session, part, partOutcome.answered);
+    });
+    session = startRoster(session, "b");
+    session = recordPart(session, "team", partOutcome.revealed);
+    const summary = summarizeSession(session);
+    expect(summary.rosters).toBe(1);
+    expect(summary.perfectRosters).toBe(1);
+    expect(summary.accuracy).toBe(1);
+  });
+
+  test("lists rosters whose latest attempt was not fully answered", () => {
+    const finishRoster = (session, quizId, outcome) =>
+      parts.reduce(
+        (acc, part) => recordPart(acc, part, outcome),
+        startRoster(session, quizId)
+      );
+    let session = createSession();
+    session = finishRoster(session, "a", partOutcome.answered);
+    session = finishRoster(session, "b", partOutcome.revealed);
+    session = finishRoster(session, "c", partOutcome.skipped);
+    session = finishRoster(session, "c", partOutcome.answered);
+    session = startRoster(session, "d");
+    expect(getMissedQuizIds(session)).toEqual(["b"]);
+  });
+
+  test("asks the split only when enabled", () => {
+    expect(getQuizParts()).not.toContain("split");
+    expect(getQuizParts({ split: true })).toEqual(parts);
+    const session = startRoster(createSession(), "a", getQuizParts({ split: true }));
+    expect(Object.keys(session.rosters[0].parts)).toContain("split");
+  });
+
+  test("deducts hint costs from the part whether it is answered or not", () => {
+    let session = startRoster(createSession(), "a");
+    session = useHint(session, "team");
+    session = useHint(session, "team");
+    session = recordPart(session, "team", partOutcome.answered);
+    session = useHint(session, "year");
+    session = recordPart(session, "year", partOutcome.skipped);
+    expect(session.rosters[0].parts.team.points).toBe(partPoints.team - 2 * hintCost);
+    expect(session.rosters[0].parts.year.points).toBe(-hintCost);
+    expect(summarizeRoster(session.rosters[0]).hinted).toBe(2);
+  });
+
+  test("ignores hints on parts that are already done", () => {
+    let session = startRoster(createSession(), "a");
+    session = recordPart(session, "team", partOutcome.answered);
+    session = useHint(session, "team");
+    expect(session.rosters[0].parts.team.hints).toBe(0);
+  });
+});
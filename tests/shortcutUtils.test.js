@@ -0,0 +1,43 @@
+const { getShortcutAction } = require("../src/utils/shortcutUtils");
+const { shortcutAction } = require("../src/constants/shortcuts");
+
+const answerInput = { tagName: "INPUT", dataset: { answerInput: "" } };
+const otherInput = { tagName: "INPUT", dataset: {} };
+const select = { tagName: "SELECT", dataset: {} };
+const body = { tagName: "BODY", dataset: {} };
+
+const press = (key, target = body, modifiers = {}) => getShortcutAction({ key, target, ...modifiers });
+
+describe("shortcutUtils", () => {
+  test("skips a part with Esc, and with Tab from the answer box", () => {
+    expect(press("Escape")).toBe(shortcutAction.skipPart);
+    expect(press("Escape", answerInput)).toBe(shortcutAction.skipPart);
+    expect(press("Tab", answerInput)).toBe(shortcutAction.skipPart);
+    expect(press("Tab", answerInput, { shiftKey: true })).toBeNull();
+    expect(press("Tab")).toBeNull();
+  });
+
+  test("leaves other fields alone", () => {
+    expect(press("Escape", select)).toBeNull();
+    expect(press("Tab", otherInput)).toBeNull();
+    expect(press("h", otherInput)).toBeNull();
+  });
+
+  test("goes to the next quiz with Ctrl or Cmd + Enter", () => {
+    expect(press("Enter", answerInput, { ctrlKey: true })).toBe(shortcutAction.nextQuiz);
+    expect(press("Enter", body, { metaKey: true })).toBe(shortcutAction.nextQuiz);
+    expect(press("Enter", answerInput)).toBeNull();
+  });
+
+  test("only takes H as a hint when not typing", () => {
+    expect(press("h")).toBe(shortcutAction.hint);
+    expect(press("H")).toBe(shortcutAction.hint);
+    expect(press("h", answerInput)).toBeNull();
+    expect(press("˙", answerInput, { altKey: true, code: "KeyH" })).toBe(shortcutAction.hint);
+  });
+
+  test("opens the overlay with ?", () => {
+    expect(press("?")).toBe(shortcutAction.help);
+    expect(press("?", answerInput)).toBeNull();
+  });
+});
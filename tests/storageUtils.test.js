@@ -0,0 +1,132 @@
+const {
+  storageKey,
+  schemaVersion,
+  maxSavedRosters,
+  createProgress,
+  loadProgress,
+  saveProgress,
+  recordRosterProgress,
+  getPartAccuracy,
+} = require("../src/utils/storageUtils");
+const { createSession, startRoster, recordPart } = require("../src/utils/scoreUtils");
+const { parts, partOutcome } = require("../src/constants/score");
+
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+};
+
+const finishRoster = (session, quizId, outcome) =>
+  parts.reduce(
+    (acc, part) => recordPart(acc, part, outcome),
+    startRoster(session, quizId)
+  );
+
+describe("storageUtils", () => {
+  test("starts fresh when nothing is saved", () => {
+    expect(loadProgress(createStorage(), ["a"])).toEqual(createProgress());
+  });
+
+  test("starts fresh when the saved data is corrupt or from a newer version", () => {
+    expect(loadProgress(createStorage({ [storageKey]: "{" }), ["a"])).toEqual(createProgress());
+    const newer = JSON.stringify({ ...createProgress(), version: schemaVersion + 1 });
+    expect(loadProgress(createStorage({ [storageKey]: newer }), ["a"])).toEqual(createProgress());
+  });
+
+  test("round-trips saved progress", () => {
+    const storage = createStorage();
+    const session = finishRoster(createSession(), "a", partOutcome.answered);
+    const progress = { ...createProgress(), seen: ["a"], session };
+    saveProgress(storage, progress);
+    expect(loadProgress(storage, ["a", "b"])).toEqual(progress);
+  });
+
+  test("saves only the latest rosters of the session but remembers every roster seen", () => {
+    const storage = createStorage();
+    const ids = Array.from({ length: maxSavedRosters + 2 }, (_, i) => `q${i}`);
+    const session = ids.reduce((acc, id) => finishRoster(acc, id, partOutcome.answered), createSession());
+    saveProgress(storage, { ...createProgress(), seen: ids, session });
+
+    const loaded = loadProgress(storage, ids);
+    expect(loaded.session.rosters.map((r) => r.quizId)).toEqual(ids.slice(2));
+    expect(loaded.session.score).toBe(session.score);
+    expect(loaded.seen).toEqual(ids);
+  });
+
+  test("drops rosters that no longer exist and the unfinished roster", () => {
+    const storage = createStorage();
+    let session = finishRoster(createSession(), "a", partOutcome.answered);
+    session = finishRoster(session, "removed", partOutcome.answered);
+    session = startRoster(session, "b");
+    let progress = { ...createProgress(), seen: ["a", "removed", "b"], session };
+    progress = recordRosterProgress(progress, session.rosters[1]);
+    saveProgress(storage, progress);
+
+    const loaded = loadProgress(storage, ["a", "b", "c"]);
+    expect(loaded.seen).toEqual(["a"]);
+    expect(loaded.session.rosters.map((r) => r.quizId)).toEqual(["a"]);
+    expect(loaded.rosters).toEqual({});
+  });
+
+  test("records per-roster outcomes and lifetime accuracy per part", () => {
+    let session = startRoster(createSession(), "a");
+    session = recordPart(session, "team", partOutcome.answered);
+    parts.slice(1).forEach((part) => {
+      session = recordPart(session, part, partOutcome.skipped);
+    });
+    const progress = recordRosterProgress(createProgress(), session.rosters[0]);
+    expect(progress.rosters.a.played).toBe(1);
+    expect(progress.rosters.a.perfect).toBe(0);
+    expect(progress.rosters.a.lastOutcome.team).toBe("answered");
+    const accuracy = getPartAccuracy(progress);
+    expect(accuracy.team).toBe(1);
+    expect(accuracy.year).toBe(0);
+    expect(progress.review.a.misses).toBe(1);
+  });
+
+  test("migrates version 1 data by adding split stats", () => {
+    const v1 = createProgress();
+    delete v1.parts.split;
+    v1.version = 1;
+    v1.parts.team.answered = 3;
+    const loaded = loadProgress(createStorage({ [storageKey]: JSON.stringify(v1) }), []);
+    expect(loaded.version).toBe(schemaVersion);
+    expect(loaded.parts.team.answered).toBe(3);
+    expect(loaded.parts.split).toEqual({ answered: 0, skipped: 0, revealed: 0 });
+  });
+
+  test("migrates version 2 data by adding hint counts to saved rosters", () => {
+    const session = finishRoster(createSession(), "a", partOutcome.answered);
+    session.rosters[0].parts.team = { outcome: "answered", points: 2 };
+    const v2 = { ...createProgress(), version: 2, seen: ["a"], session };
+    const loaded = loadProgress(createStorage({ [storageKey]: JSON.stringify(v2) }), ["a"]);
+    expect(loaded.session.rosters[0].parts.team).toEqual({ outcome: "answered", points: 2, hints: 0 });
+  });
+
+  test("migrates version 3 data by adding an empty daily history", () => {
+    const v3 = { ...createProgress(), version: 3 };
+    delete v3.daily;
+    const loaded = loadProgress(createStorage({ [storageKey]: JSON.stringify(v3) }), []);
+    expect(loaded.version).toBe(schemaVersion);
+    expect(loaded.daily).toEqual({});
+  });
+
+  test("migrates version 4 data by adding an empty review queue", () => {
+    const v4 = { ...createProgress(), version: 4 };
+    delete v4.review;
+    const loaded = loadProgress(createStorage({ [storageKey]: JSON.stringify(v4) }), []);
+    expect(loaded.version).toBe(schemaVersion);
+    expect(loaded.review).toEqual({});
+  });
+
+  test("drops queued reviews of rosters no longer in the data", () => {
+    const review = { a: { misses: 1, box: 0, dueAt: 0 }, removed: { misses: 2, box: 0, dueAt: 0 } };
+    const loaded = loadProgress(createStorage({ [storageKey]: JSON.stringify({ ...createProgress(), review }) }), ["a"]);
+    expect(loaded.review).toEqual({ a: review.a });
+  });
+});
@@ -0,0 +1,21 @@
+const { generalizeName, generalizeSplit } = require("../src/utils/stringUtils");
+
+describe("stringUtils", () => {
+  test("removes every space when generalizing names", () => {
+    expect(generalizeName("Team Solo Mid")).toBe("teamsolomid");
+  });
+
+  test("accepts full and short split names", () => {
+    expect(generalizeSplit("Spring")).toBe("spring");
+    expect(generalizeSplit("spr")).toBe("spring");
+    expect(generalizeSplit("SUMMER")).toBe("summer");
+    expect(generalizeSplit("sum")).toBe("summer");
+    expect(generalizeSplit("Worlds")).toBe("worlds");
+  });
+
+  test("rejects anything else", () => {
+    expect(generalizeSplit("s")).toBe("");
+    expect(generalizeSplit("winter")).toBe("");
+    expect(generalizeSplit(undefined)).toBe("");
+  });
+});
@@ -0,0 +1,45 @@
+const { allQuizzes } = require("./dataset");
+const {
+  isSameTeam,
+  findTeamRosters,
+  getHomeLeague,
+  getTeamLabel,
+} = require("../src/utils/teamUtils");
+
+const byId = (id) => allQuizzes.find((q) => q.id === id);
+
+describe("teamUtils", () => {
+  test("finds a team's rosters across leagues and events", () => {
+    const skt = byId("skt-2015-summer");
+    expect(findTeamRosters(allQuizzes, skt.team).map((q) => q.id)).toEqual([
+      "skt-2015-summer",
+      "skt-2015-worlds",
+    ]);
+  });
+
+  test("uses the domestic league for international rosters", () => {
+    expect(getHomeLeague(allQuizzes, byId("g2-2019-worlds").team)).toBe("LEC");
+  });
+
+  test("labels teams by abbreviation, adding the league when it collides", () => {
+    const sn = byId("sn-2020-summer");
+    const rival = {
+      ...byId("tsm-2013-spring"),
+      id: "rival",
+      team: { ...byId("tsm-2013-spring").team, id: "SNNA", abbr: "SN" },
+    };
+    expect(getTeamLabel(allQuizzes, sn)).toBe("SN");
+    expect(isSameTeam(sn.team, rival.team)).toBe(false);
+    expect(getTeamLabel([...allQuizzes, rival], sn)).toBe("SN (LPL)");
+    expect(getTeamLabel([...allQuizzes, rival], rival)).toBe("SN (LCS)");
+  });
+
+  test("tells apart the teams that share an abbreviation by their league", () => {
+    const na = byId("eg-2020-summer");
+    const eu = byId("egeu-2013-summer");
+    expect(isSameTeam(na.team, eu.team)).toBe(false);
+    expect(getTeamLabel(allQuizzes, na)).toBe("EG (LCS)");
+    expect(getTeamLabel(allQuizzes, eu)).toBe("EG (LEC)");
+    expect(getTeamLabel(allQuizzes, byId("tsm-2013-spring"))).toBe("TSM");
+  });
+});
@@ -0,0 +1,37 @@
+const { createCountdown, formatClock } = require("../src/utils/timerUtils");
+
+describe("timerUtils", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("ticks down and ends once", () => {
+    const ticks = [];
+    const onEnd = jest.fn();
+    createCountdown(3, { onTick: (s) => ticks.push(s), onEnd });
+    expect(ticks).toEqual([3]);
+    jest.advanceTimersByTime(5000);
+    expect(ticks[ticks.length - 1]).toBe(0);
+    expect(ticks.filter((s) => s === 0).length).toBe(1);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test("stops without ending", () => {
+    const onEnd = jest.fn();
+    const countdown = createCountdown(2, { onTick: () => {}, onEnd });
+    jest.advanceTimersByTime(1000);
+    countdown.stop();
+    jest.advanceTimersByTime(5000);
+    expect(onEnd).not.toHaveBeenCalled();
+  });
+
+  test("formats seconds as a clock", () => {
+    expect(formatClock(180)).toBe("3:00");
+    expect(formatClock(65)).toBe("1:05");
+    expect(formatClock(9)).toBe("0:09");
+  });
+});
@@ -0,0 +1,44 @@
+const { parseChallenge, createChallengeUrl } = require("../src/utils/urlUtils");
+
+const settings = {
+  mode: "blitz",
+  blitzPreset: 3,
+  pack: "builtin",
+  league: "LEC",
+  yearFrom: "2013",
+  yearTo: "2016",
+  askSplit: true,
+  typoTolerance: 0,
+  seed: "abc123",
+};
+
+describe("urlUtils", () => {
+  test("round-trips settings through a challenge link", () => {
+    const url = createChallengeUrl("https://example.com/quiz/", settings);
+    expect(url).toBe("https://example.com/quiz/?seed=abc123&mode=blitz&league=LEC&from=2013&to=2016&clock=3&split=1&typos=0");
+    const { pack, ...shared } = settings;
+    expect(parseChallenge(new URL(url).search)).toEqual(shared);
+  });
+
+  test("carries multiple choice only when it is on", () => {
+    const url = createChallengeUrl("https://example.com/quiz/", { ...settings, multipleChoice: true });
+    expect(url).toMatch(/&choices=1$/);
+    expect(parseChallenge(new URL(url).search).multipleChoice).toBe(true);
+  });
+
+  test("only reads links with a valid seed", () => {
+    expect(parseChallenge("")).toBeNull();
+    expect(parseChallenge("?league=LEC")).toBeNull();
+    expect(parseChallenge("?seed=<script>")).toBeNull();
+  });
+
+  test("ignores invalid values", () => {
+    expect(parseChallenge("?seed=abc&mode=hard&clock=99&league=XYZ&from=2001&to=abcd&typos=5")).toEqual({ seed: "abc" });
+  });
+
+  test("maps region filters to their main league", () => {
+    expect(parseChallenge("?seed=abc&region=EU").league).toBe("LEC");
+    expect(parseChallenge("?seed=abc&region=NA").league).toBe("LCS");
+    expect(parseChallenge("?seed=abc").league).toBeUndefined();
+  });
+});
@@ -0,0 +1,102 @@
+const { flagCodes, data, allQuizzes, players, teams } = require("./dataset");
+const {
+  validateData,
+  validateQuiz,
+  filterValidQuizzes,
+} = require("../src/utils/validationUtils");
+const { translate } = require("../src/utils/i18nUtils");
+
+const validQuiz = data[0];
+
+describe("validationUtils", () => {
+  test("finds no problems in the bundled data", () => {
+    expect(validateData({ quizzes: allQuizzes, players, teams }, { flagCodes })).toEqual([]);
+  });
+
+  test("reports unknown leagues and leagues outside the quiz region", () => {
+    expect(validateQuiz({ ...validQuiz, league: "LCL" }, { players, teams }).map((e) => e.type)).toEqual(["league"]);
+    expect(validateQuiz({ ...validQuiz, league: "LPL" }, { players, teams }).map((e) => e.type)).toEqual(["league"]);
+    expect(validateQuiz({ ...validQuiz, league: "WORLDS" }, { players, teams })).toEqual([]);
+  });
+
+  test("allows shared team abbreviations across regions only", () => {
+    const team = (id, abbr, region) => ({ id, name: [id], abbr, region });
+    const acrossRegions = { ...teams, FOONA: team("FOONA", "FOO", "NA"), FOOCN: team("FOOCN", "FOO", "CN") };
+    expect(validateData({ quizzes: [], players, teams: acrossRegions })).toEqual([]);
+    const sameRegion = { ...acrossRegions, FOOCN: team("FOOCN", "FOO", "NA") };
+    expect(validateData({ quizzes: [], players, teams: sameRegion }).map((e) => e.id)).toEqual(["FOOCN"]);
+  });
+
+  test("reports players missing from players.json", () => {
+    const quiz = { ...validQuiz, players: { ...validQuiz.players, MID: undefined } };
+    expect(validateQuiz(quiz, { players, teams }).map((e) => e.message))
+      .toEqual([`${validQuiz.id} references a MID player that is not in players.json`]);
+  });
+
+  test("reports players placed under the wrong position", () => {
+    const quiz = { ...validQuiz, players: { ...validQuiz.players, MID: validQuiz.players.TOP } };
+    expect(validateQuiz(quiz, { players, teams }).map((e) => e.type)).toEqual(["position"]);
+  });
+
+  test("reports out-of-range years and unknown enums", () => {
+    const quiz = { ...validQuiz, year: "2012", split: "winter" };
+    const types = validateQuiz(quiz, { players, teams }).map((e) => e.type);
+    expect(types).toContain("year");
+    expect(types).toContain("split");
+  });
+
+  test("describes each problem with a message key as well as in English", () => {
+    const [error] = validateQuiz({ ...validQuiz, split: "winter" }, { players, teams });
+    expect(error).toMatchObject({ key: "validation.unknownSplit", params: { id: validQuiz.id, split: "winter" } });
+    expect(error.message).toBe(`${validQuiz.id} has unknown split winter`);
+    expect(translate("ja", error.key, error.params)).toBe(`${validQuiz.id} のスプリット winter は不明です`);
+  });
+
+  test("reports years that are numbers rather than text", () => {
+    expect(validateQuiz({ ...validQuiz, year: Number(validQuiz.year) }, { players, teams }).map((e) => e.type))
+      .toEqual(["year"]);
+  });
+
+  test("reports nationalities without a flag asset", () => {
+    const badPlayers = {
+      ...players,
+      TOP: { ...players.TOP, Nobody: { ign: ["Nobody"], position: "TOP", nationality: "XX" } },
+    };
+    const errors = validateData({ quizzes: [], players: badPlayers, teams }, { flagCodes });
+    expect(errors.map((e) => e.type)).toEqual(["flag"]);
+  });
+
+  test("reports IGN aliases shared by different players", () => {
+    const badPlayers = {
+      ...players,
+      TOP: { ...players.TOP, Copy: { ign: ["Dy rus"], position: "TOP", nationality: "US" } },
+    };
+    const errors = validateData({ quizzes: [], players: badPlayers, teams });
+    expect(errors.map((e) => e.id)).toEqual(["TOP.Copy"]);
+  });
+
+  test("reports players and teams with the wrong types instead of throwing", () => {
+    const badPlayers = {
+      ...players,
+      TOP: { ...players.TOP, Nobody: null },
+      MID: { ...players.MID, Number: { ign: [5], position: "MID", nationality: "KR" } },
+      BOT: { ...players.BOT, Stateless: { ign: ["Stateless"], position: "BOT", nationality: 5 } },
+    };
+    const badTeams = {
+      ...teams,
+      NUM: { id: "NUM", name: ["Numbers"], abbr: 5, region: "NA" },
+      NAMELESS: { id: "NAMELESS", name: "Nameless", abbr: "NML", region: "NA" },
+      BLANK: { id: "BLANK", name: [" "], abbr: "BLK", region: "NA" },
+    };
+    const errors = validateData({ quizzes: [], players: badPlayers, teams: badTeams });
+    expect(errors.map((e) => e.id)).toEqual(["TOP.Nobody", "MID.Number", "BOT.Stateless", "NUM", "NAMELESS", "BLANK"]);
+  });
+
+  test("reports duplicate quiz ids and filters invalid quizzes", () => {
+    const broken = { ...validQuiz, id: "broken", region: "KR" };
+    const quizzes = [validQuiz, validQuiz, broken];
+    const types = validateData({ quizzes, players, teams }).map((e) => e.type);
+    expect(types).toContain("quiz");
+    expect(filterValidQuizzes(quizzes, { players, teams })).toEqual([validQuiz, validQuiz]);
+  });
+});